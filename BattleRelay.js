@@ -0,0 +1,100 @@
+/**
+ * BattleRelay.js
+ *
+ * Turns the protocol lines of a battle room into a readable turn-by-turn summary, so battles can be followed outside of PS.
+ * Switches, moves, faints and forfeits are described; the result and the replay come from PSBots events instead,
+ * since they are also known when the lines in between were missed.
+ */
+
+"use strict";
+
+module.exports = class {
+
+	/** @type {string[]} usernames of p1 and p2, as in the room. */
+	#players = ["p1", "p2"];
+
+	/** @type {string[]} what happened since the last turn started. */
+	#events = [];
+
+	// 0 is before the first turn, when the leads are sent out.
+	#turn = 0;
+
+	/**
+	 * @param {string[]} lines - of a message in the battle room.
+	 * @returns {string[]} - summaries of the turns that ended in these lines.
+	 */
+	push(lines) {
+		const summaries = [];
+		for(const line of lines) {
+			const [ , type, ...args ] = line.split("|");
+			switch(type) {
+				case "player": {
+					// Bots leave the player slots before the players are added.
+					const i = ["p1", "p2"].indexOf(args[0]);
+					if(i >= 0 && args[1]) this.#players[i] = args[1];
+					break;
+				}
+				case "switch": {
+					const [ side, nickname ] = args[0].split(": ");
+					const species = args[1].split(",")[0];
+					// Formes like Gastrodon-East keep the base name when not nicknamed.
+					const mon = nickname === species || species.startsWith(`${nickname}-`) ? species : `${nickname} (${species})`;
+					this.#events.push(`${this.#player(side)} sent out ${mon}!`);
+					break;
+				}
+				case "drag": {
+					this.#events.push(`${this.#mon(args[0])} was dragged out!`);
+					break;
+				}
+				case "move": {
+					this.#events.push(`${this.#mon(args[0])} used ${args[1]}!`);
+					break;
+				}
+				case "faint": {
+					this.#events.push(`${this.#mon(args[0])} fainted!`);
+					break;
+				}
+				case "-message": {
+					if(args[0]?.endsWith(" forfeited.")) this.#events.push(args[0]);
+					break;
+				}
+				case "turn": {
+					const summary = this.flush();
+					if(summary) summaries.push(summary);
+					this.#turn = Number(args[0]);
+					break;
+				}
+			}
+		}
+		return summaries;
+	}
+
+	/**
+	 * @returns {string | null} - summary of the turn so far, which is then cleared; null if nothing happened.
+	 */
+	flush() {
+		if(!this.#events.length) return null;
+		const title = this.#turn ? `**Turn ${this.#turn}**` : "**Leads**";
+		const summary = [title, ...this.#events].join("\n");
+		this.#events = [];
+		return summary;
+	}
+
+	/**
+	 * @param {string} side - e.g. "p1a"
+	 * @returns {string}
+	 */
+	#player(side) {
+		return this.#players[Number(side[1]) - 1] ?? side;
+	}
+
+	/**
+	 * @param {string} ident - e.g. "p1a: Pikachu"
+	 * @returns {string} - e.g. "demirab1's Pikachu"
+	 */
+	#mon(ident) {
+		const [ side, nickname ] = ident.split(": ");
+		return `${this.#player(side)}'s ${nickname}`;
+	}
+
+};
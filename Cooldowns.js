@@ -0,0 +1,154 @@
+/**
+ * Cooldowns.js
+ *
+ * Limits on how often commands can be used, so expensive ones like downloads and replay fetches can't be spammed.
+ * There are rate limits over all commands, for everyone and for each user, and per-command cooldowns and concurrency.
+ * A use that breaks any limit is refused as a whole, and doesn't count towards the others.
+ *
+ * Everything lives in memory; limits start over after a restart.
+ */
+
+"use strict";
+
+/**
+ * @typedef {Object} RateLimit
+ * @property {number} uses - most uses within the window.
+ * @property {number} window - seconds.
+ */
+
+/**
+ * @typedef {Object} CommandLimit
+ * @property {number} [cooldown] - seconds before the same user can use it again.
+ * @property {number} [globalCooldown] - seconds before anyone can use it again.
+ * @property {number} [concurrency] - most uses running at once, for everyone.
+ */
+
+/**
+ * @typedef {Object} CooldownConfig
+ * @property {RateLimit | null} [global] - over all commands and users.
+ * @property {RateLimit | null} [user] - over all commands, for each user.
+ * @property {Object.<string, CommandLimit | null>} [commands] - command name -> its limits.
+ */
+
+/** @type {CooldownConfig} config.json can override each of these in "cooldowns", or disable them with null. */
+const DEFAULTS = {
+	global: { uses: 60, window: 60 },
+	user: { uses: 10, window: 60 },
+	commands: {
+		// Downloads the whole index, with a 10 minute timeout.
+		refresh: { globalCooldown: 300, concurrency: 1 },
+		deploy: { globalCooldown: 60, concurrency: 1 },
+		// Fetch files or logs from elsewhere.
+		validate: { cooldown: 10, concurrency: 4 },
+		"check-team": { cooldown: 10, concurrency: 4 },
+		stats: { cooldown: 10 },
+	},
+};
+
+module.exports = class {
+
+	/** @type {CooldownConfig} */
+	#config = null;
+
+	/** @type {number[]} timestamps of recent uses, oldest first. */
+	#global = [];
+
+	/** @type {Map<string, number[]>} Discord user id -> timestamps of recent uses, oldest first. */
+	#users = new Map();
+
+	/** @type {Map<string, number>} "command:user", or just the command for global cooldowns -> when it can be used again. */
+	#cooldowns = new Map();
+
+	/** @type {Map<string, number>} command -> uses running. */
+	#running = new Map();
+
+	/**
+	 * @param {CooldownConfig} [config] - merged over the defaults.
+	 */
+	constructor(config) {
+		this.#config = {
+			global: config?.global === undefined ? DEFAULTS.global : config.global,
+			user: config?.user === undefined ? DEFAULTS.user : config.user,
+			commands: { ...DEFAULTS.commands, ...config?.commands },
+		};
+	}
+
+	/**
+	 * Counts a use of a command, if it is within all limits.
+	 * @param {string} command
+	 * @param {string} user - Discord user id.
+	 * @returns {() => void} - to call once the command is done, for concurrency.
+	 * @throws {Error} - telling the user what to wait for.
+	 */
+	start(command, user) {
+		const now = Date.now() / 1000;
+		const limit = this.#config.commands[command];
+		const wait = (until) => `${Math.max(1, Math.ceil(until - now))}s`;
+
+		const global = prune(this.#global, now, this.#config.global);
+		if(this.#config.global && global.length >= this.#config.global.uses) {
+			throw new Error(`The bot is busy. Try again in ${wait(global[0] + this.#config.global.window)}.`);
+		}
+
+		const uses = prune(this.#users.get(user) ?? [], now, this.#config.user);
+		if(this.#config.user && uses.length >= this.#config.user.uses) {
+			throw new Error(`You are using commands too fast. Try again in ${wait(uses[0] + this.#config.user.window)}.`);
+		}
+
+		const userKey = `${command}:${user}`;
+		if(this.#cooldowns.get(userKey) > now) {
+			throw new Error(`You can use /${command} again in ${wait(this.#cooldowns.get(userKey))}.`);
+		}
+		if(this.#cooldowns.get(command) > now) {
+			throw new Error(`/${command} was used recently. Try again in ${wait(this.#cooldowns.get(command))}.`);
+		}
+
+		const running = this.#running.get(command) ?? 0;
+		if(limit?.concurrency && running >= limit.concurrency) {
+			throw new Error(`/${command} is already running${limit.concurrency > 1 ? ` ${running} times` : ""}. Try again when it's done.`);
+		}
+
+		if(this.#config.global) global.push(now);
+		if(this.#config.user) this.#users.set(user, [...uses, now]);
+		if(limit?.cooldown) this.#cooldowns.set(userKey, now + limit.cooldown);
+		if(limit?.globalCooldown) this.#cooldowns.set(command, now + limit.globalCooldown);
+		this.#running.set(command, running + 1);
+		this.#sweep(now);
+
+		let done = false;
+		return () => {
+			if(done) return;
+			done = true;
+			const left = this.#running.get(command) - 1;
+			if(left) this.#running.set(command, left);
+			else this.#running.delete(command);
+		};
+	}
+
+	/**
+	 * Forgets cooldowns and rate limits that are over, so the maps don't grow with every user.
+	 * @param {number} now
+	 */
+	#sweep(now) {
+		for(const [ key, until ] of this.#cooldowns) {
+			if(until <= now) this.#cooldowns.delete(key);
+		}
+		for(const [ user, uses ] of this.#users) {
+			if(!prune(uses, now, this.#config.user).length) this.#users.delete(user);
+		}
+	}
+
+};
+
+/**
+ * Drops the uses that left the window, in place.
+ * @param {number[]} uses - timestamps, oldest first.
+ * @param {number} now
+ * @param {RateLimit | null} limit
+ * @returns {number[]} - uses.
+ */
+function prune(uses, now, limit) {
+	if(!limit) return uses;
+	while(uses.length && uses[0] <= now - limit.window) uses.shift();
+	return uses;
+}
@@ -9,7 +9,6 @@
 		console.error("discord.js - failed");
 		console.log("Hint: Run 'npm install' before launching the bot.");
 	}
-	// elo module goes here
 	try { console.log(`sqlite - ${require.resolve("node:sqlite")}`); }
 	catch {
 		exit = true;
@@ -20,29 +19,85 @@
 }
 
 const path = require("node:path");
-const { Client, Events, GatewayIntentBits, REST, Routes, SlashCommandBuilder } = require("discord.js");
+const { AttachmentBuilder, Client, Events, GatewayIntentBits, MessageFlags, PermissionFlagsBits, REST, Routes, SlashCommandBuilder } = require("discord.js");
+const { toID } = require("./pokemon-showdown/dist/sim/index.js");
 
 const configPath = path.join(__dirname, "config.json");
 const cfg = require(configPath);
 
 const mhPath = path.join(__dirname, "MetagameHelper.js");
 const MetagameHelper = require(mhPath);
-const mh = new MetagameHelper(false);
+// 35 Factory battles need Pokemon Showdown bot accounts to host them.
+const mh = new MetagameHelper(Boolean(cfg.psAuth));
 const INIT_MH = mh.init();
 
+const ratingsPath = path.join(__dirname, "Ratings.js");
+const Ratings = require(ratingsPath);
+const ratings = new Ratings(mh);
+
+const replaysPath = path.join(__dirname, "Replays.js");
+const Replays = require(replaysPath);
+const replays = new Replays(mh);
+
+const seasonsPath = path.join(__dirname, "Seasons.js");
+const Seasons = require(seasonsPath);
+const seasons = new Seasons(mh);
+
+const statsPath = path.join(__dirname, "Stats.js");
+const Stats = require(statsPath);
+const stats = new Stats(mh);
+
+const linksPath = path.join(__dirname, "Links.js");
+const Links = require(linksPath);
+const links = new Links(mh);
+
+const permissionsPath = path.join(__dirname, "Permissions.js");
+const Permissions = require(permissionsPath);
+const permissions = new Permissions(mh);
+
+const settingsPath = path.join(__dirname, "Settings.js");
+const Settings = require(settingsPath);
+const settings = new Settings(mh);
+
+const toursPath = path.join(__dirname, "Tournaments.js");
+const Tournaments = require(toursPath);
+const tours = new Tournaments(mh);
+
+const relayPath = path.join(__dirname, "BattleRelay.js");
+const BattleRelay = require(relayPath);
+
+const mmPath = path.join(__dirname, "Matchmaking.js");
+const Matchmaking = require(mmPath);
+const mm = new Matchmaking();
+
+const cooldownsPath = path.join(__dirname, "Cooldowns.js");
+const Cooldowns = require(cooldownsPath);
+const cooldowns = new Cooldowns(cfg.cooldowns);
+
 const client = new Client({ intents: [GatewayIntentBits.Guilds] });
 const rest = new REST().setToken(cfg.token);
 
+const OWNERS_ONLY = "Only the bot owners are allowed to do this.";
+
 const DISCORD_MAX_OPTIONS = 25;
+const DISCORD_MAX_LENGTH = 2000;
+const DISCORD_MAX_OPTION_LENGTH = 6000;
+// Bytes; replay logs and teams are rarely over 100 KB.
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
 
 // SLASH COMMANDS
 
 client.on(Events.InteractionCreate, (interaction) => {
 	if(interaction.isAutocomplete()) { // these are only suggestions!
-		const input = interaction.options.getFocused();
-		const regex = new RegExp(input, "i");
-		const matches = mh.metagamesArray
+		const focused = interaction.options.getFocused(true);
+		const regex = new RegExp(focused.value, "i");
+		const choices = focused.name === "format" ? mh.metagamesBF : mh.metagamesArray;
+		// Metagames of the default group come first.
+		const group = settings.get(interaction.guildId).defaultGroup;
+		const first = (x) => group && x.startsWith(`${group}/`) ? 0 : 1;
+		const matches = choices
 		.filter((x) => regex.test(x))
+		.sort((a, b) => first(a) - first(b))
 		.slice(0, DISCORD_MAX_OPTIONS)
 		.map((x) => ({ name: x, value: x }));
 		return interaction.respond(matches);
@@ -50,8 +105,30 @@ client.on(Events.InteractionCreate, (interaction) => {
 
 	if(!interaction.isChatInputCommand()) return;
 
-	// handle global cooldowns here
+	// Before cooldowns, so users who can't use a command don't hold it up for those who can.
+	const denied = checkPermission(interaction);
+	if(denied) {
+		return interaction.reply({ content: denied, flags: MessageFlags.Ephemeral });
+	}
+
+	let done;
+	try {
+		done = cooldowns.start(interaction.commandName, interaction.user.id);
+	}
+	catch(err) {
+		return interaction.reply({ content: err.message, flags: MessageFlags.Ephemeral });
+	}
 
+	// A command is running until its reply is sent; battles it starts go on without it.
+	return Promise.resolve()
+	.then(() => runCommand(interaction))
+	.finally(done);
+});
+
+/**
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction
+ */
+function runCommand(interaction) {
 	switch(interaction.commandName) {
 
 		case "help": {
@@ -59,20 +136,19 @@ client.on(Events.InteractionCreate, (interaction) => {
 		}
 
 		case "refresh": {
+			if(mh.refreshing) {
+				return interaction.reply({ content: "The metagames index is already being refreshed. Try /memory when it's done.", flags: MessageFlags.Ephemeral });
+			}
 			return interaction.deferReply()
 			.then(() => {
-				return mh.fetchMetagames();
-			})
-			.then((errs) => {
-				if(errs.length) throw errs;
-				return mh.loadMetagames();
+				return mh.refreshMetagames();
 			})
 			.then((errs) => {
 				if(errs.length) throw errs;
 				return interaction.followUp("Success! Try /memory");
 			})
 			.catch((errs) => {
-				return interaction.followUp(`Errors: ${JSON.stringify(errs)}`);
+				return interaction.followUp(`Errors: ${describeError(errs)}`);
 			});
 		}
 
@@ -80,31 +156,26 @@ client.on(Events.InteractionCreate, (interaction) => {
 			let buf = "";
 			buf += "List of loaded metagames:\n";
 			buf += mh.metagamesArray.join("\n") || "None!";
+			buf += `\nShowdown server: ${mh.server.name} (${mh.server.client})`;
 			return interaction.reply(buf);
 		}
 
 		case "meta-to-chalcode": {
-			const [ group, meta ] = interaction.options.getString("metagame").split("/");
-			
-			const target = mh.metagamesObject[group]?.[meta];
-			if(!target) return interaction.reply("?");
-
-			const list = target.filter((x) => !x.header).map((x) => x.value);
-			const result = [];
-			const errors = [];
-
-			for(const mon of list) {
-				const tcc = mh.toChalCode(mon);
-				if(tcc) result.push(tcc);
-				else errors.push(`Invalid species: ${tcc}`);
-			}
+			const format = getMetagame(interaction);
+			const { code, errors } = mh.toChallengeCode(format);
+			if(!code) return interaction.reply(errors.join("\n"));
 
+			const footer = `\n=== Errors ===\n${errors.length ? errors.join("\n") : "None!"}`;
 			let buf = "";
-			buf += `=== Normalized pokemon for the chal code of ${group}/${meta} ===\n\`+`;
-			buf += result.join(", +");
-			buf += `\`\n=== Errors ===\n${errors.length ? errors.join("\n") : "None!"}`;
+			buf += `=== Challenge code for ${format} ===\n\`/challenge ${code}\``;
+			buf += footer;
+			if(buf.length <= DISCORD_MAX_LENGTH) return interaction.reply(buf);
 
-			return interaction.reply(buf);
+			// Codes with many move bans don't fit in a message.
+			return interaction.reply({
+				content: `=== Challenge code for ${format} ===${footer}`.slice(0, DISCORD_MAX_LENGTH),
+				files: [new AttachmentBuilder(Buffer.from(`/challenge ${code}`), { name: "chalcode.txt" })],
+			});
 		}
 
 		case "list-to-chalcode": {
@@ -131,49 +202,93 @@ client.on(Events.InteractionCreate, (interaction) => {
 			return interaction.reply(buf);
 		}
 
-		case "validate": {
-			const urlStr = interaction.options.getString("url"); // make mandatory
+		case "check-team": {
+			const format = getMetagame(interaction);
+			const file = interaction.options.getAttachment("file");
+			const text = interaction.options.getString("team");
+
+			if([file, text].filter((x) => x).length !== 1) {
+				return interaction.reply("Provide exactly one of team or file.");
+			}
+
 			return interaction.deferReply()
 			.then(() => {
-				// sanity checks for url here
-				const url = new URL(urlStr);
-				const errors = [];
+				// Newlines are converted to spaces in slash commands, so exports only work as files.
+				if(text) return text;
+				if(file.size > MAX_FILE_SIZE) throw ["File too large"];
+				return fetch(file.url)
+				.then((res) => {
+					if(!res.ok) throw [`Resource fetch failed: ${file.name}`];
+					return res.text();
+				});
+			})
+			.then((team) => {
+				const problems = mh.checkTeam(team, format);
 
-				// TODO: define this in mh and allow root to edit
-				const trustedHosts = [
-					"replay.pokemonshowdown.com"
-				];
+				let buf = "";
+				buf += `=== Team check for ${format} ===\n`;
+				buf += problems.length ? problems.join("\n") : "No problems found!";
+				return interaction.followUp(buf);
+			})
+			.catch((errs) => {
+				return interaction.followUp(`Errors: ${describeError(errs)}`);
+			});
+		}
 
-				if(url.protocol !== "https:") {
-					errors.push("URL wrong protocol");
-				}
+		case "validate": {
+			const urlStr = interaction.options.getString("url");
+			const file = interaction.options.getAttachment("file");
+			const text = interaction.options.getString("log");
+			const rated = getMetagame(interaction);
 
-				if(!trustedHosts.includes(url.hostname)) {
-					errors.push("URL host name not trusted");
-				}
+			if([urlStr, file, text].filter((x) => x).length !== 1) {
+				return interaction.reply("Provide exactly one of url, file or log.");
+			}
 
-				if(!url.pathname.endsWith(".log")) {
-					url.pathname += ".log";
+			// Only replays from trusted hosts get a link. Logs given directly could be edited, so they are not archived or rated.
+			let link = null;
+			return interaction.deferReply()
+			.then(() => {
+				if(file) {
+					if(file.size > MAX_FILE_SIZE) throw ["File too large"];
+					return fetch(file.url)
+					.then((res) => {
+						if(!res.ok) throw [`Resource fetch failed: ${file.name}`];
+						return res.text();
+					})
+					.then((txt) => mh.validate(txt));
 				}
 
-				if(errors.length) throw errors;
+				if(text) {
+					// String options hold at most DISCORD_MAX_OPTION_LENGTH characters, so only excerpts of most logs fit; whole logs go through file.
+					// Newlines are converted to spaces in slash commands, but every line we need starts with "|".
+					return mh.validate(text.replace(/ (?=\|)/g, "\n"));
+				}
 
-				return mh.validate(url);
+				const { trustedHosts } = settings.get(interaction.guildId);
+				const replay = checkReplayURL(urlStr, trustedHosts);
+				link = replay.link;
+				return mh.validate(replay.url, trustedHosts);
 			})
 			.then((out) => {
 				if(out.errors.length) throw out.errors;
 
+				const { mismatchCutoff } = settings.get(interaction.guildId);
 				const matches = Array.from(out.formats.entries())
-				.filter((x) => x[1].length <= 4)
+				.filter((x) => x[1].length <= mismatchCutoff)
 				.sort((a, b) => a[1].length - b[1].length);
 
 				let buf = "";
-				buf += `Date: <t:${out.timestamp}:f>\n`;
-				buf += `Winner: ${out.battle[out.winner].player}\n`;
+				buf += `Date: ${out.timestamp ? `<t:${out.timestamp}:f>` : "Unknown"}\n`;
+				if(out.snapshot) buf += `Metagames as of: <t:${out.snapshot}:d>\n`;
+				buf += `Winner: ${out.battle[out.winner]?.player ?? "None"}\n`;
 				for(const side of out.battle) {
 					buf += `Side ${side.player} preview: ${side.preview?.join(", ") || "None"}\n`;
 					buf += `Side ${side.player} reveals: ${Array.from(side.reveals ?? []).join(", ") || "None"}\n`;
 					buf += `Side ${side.player} result: ${side.pokemon?.join(", ") || "None"}\n`;
+					if(side.tera) {
+						buf += `Side ${side.player} tera: ${Array.from(side.tera, ([ mon, types ]) => `${mon} (${Array.from(types).join(", ")})`).join(", ")}\n`;
+					}
 				}
 				buf += "Format prediction:";
 				for(const format of matches) {
@@ -186,6 +301,33 @@ client.on(Events.InteractionCreate, (interaction) => {
 					}
 				}
 
+				if(!link) {
+					if(rated) buf += "\nNot rated. Only replay URLs can be rated.";
+					return interaction.followUp(buf);
+				}
+
+				const format = out.formats.get(rated)?.length === 0 ? rated : undefined;
+				try {
+					replays.archive(link, out, format);
+				}
+				catch(err) {
+					console.error(err);
+					buf += "\nCould not archive this replay.";
+				}
+
+				if(rated) {
+					buf += `\nRatings in ${rated}:`;
+					try {
+						const changes = ratings.rateReplay(link, rated, out);
+						for(const { before, after } of changes) {
+							buf += `\n${after.name}: ${Math.round(before.rating)} -> ${Math.round(after.rating)}`;
+						}
+					}
+					catch(err) {
+						buf += ` Not rated. ${err.message}`;
+					}
+				}
+
 				return interaction.followUp(buf);
 			})
 			.catch((errs) => {
@@ -196,11 +338,628 @@ client.on(Events.InteractionCreate, (interaction) => {
 			});
 		}
 
-		case "deploy": {
-			if(!cfg.admins.includes(interaction.user.username)) {
-				return interaction.reply("Only admins are allowed to deploy commands.");
+		case "replays": {
+			let results;
+			try {
+				const from = interaction.options.getString("from");
+				const to = interaction.options.getString("to");
+				results = replays.search({
+					player: interaction.options.getString("player"),
+					format: getMetagame(interaction),
+					pokemon: interaction.options.getString("pokemon"),
+					after: from ? parseDate(from) : null,
+					// Inclusive of the whole day.
+					before: to ? parseDate(to) + 24 * 60 * 60 : null,
+				});
+			}
+			catch(err) {
+				return interaction.reply(err.message);
+			}
+
+			let buf = "";
+			buf += "Archived replays, newest first:\n";
+			buf += results.map((x) => {
+				const date = x.timestamp ? `<t:${x.timestamp}:d>` : "Unknown date";
+				const players = x.players.map((p) => p.won ? `**${p.name}**` : p.name).join(" vs ");
+				return `${date} ${players} - ${x.format ?? "Unknown format"} - <${x.link}>`;
+			}).join("\n") || "None!";
+			return interaction.reply(buf);
+		}
+
+		case "stats": {
+			const format = getMetagame(interaction);
+			if(!mh.metagamesArray.includes(format)) {
+				return interaction.reply(`Unknown metagame: ${format}`);
+			}
+
+			let usage;
+			try {
+				const from = interaction.options.getString("from");
+				const to = interaction.options.getString("to");
+				usage = stats.usage({
+					format,
+					after: from ? parseDate(from) : null,
+					// Inclusive of the whole day.
+					before: to ? parseDate(to) + 24 * 60 * 60 : null,
+					minRating: interaction.options.getInteger("bracket"),
+				});
+			}
+			catch(err) {
+				return interaction.reply(err.message);
+			}
+
+			const percent = (x) => `${(x * 100).toFixed(1)}%`;
+			const pokemon = interaction.options.getString("pokemon");
+			let buf = "";
+
+			if(pokemon) {
+				const mon = usage.pokemon.find((x) => toID(x.species) === toID(pokemon));
+				if(!mon) return interaction.reply(`${pokemon} has not been used in ${format} yet.`);
+				buf += `${mon.species} in ${format}: ${percent(mon.usage)} of ${usage.teams} teams, ${percent(mon.winrate)} wins, ${percent(mon.leads)} leads\n`;
+				buf += "Teammates:\n";
+				buf += mon.teammates.slice(0, 10).map((x) => `${x.species} ${percent(x.rate)}`).join("\n") || "None!";
+				buf += "\nMoves:\n";
+				buf += mon.moves.slice(0, 10).map((x) => `${x.move} ${percent(x.rate)}`).join("\n") || "None revealed!";
+				return interaction.reply(buf);
+			}
+
+			buf += `Usage in ${format} (${usage.teams} teams): usage, wins, leads\n`;
+			for(const [ i, mon ] of usage.pokemon.entries()) {
+				const line = `${i + 1}. ${mon.species}: ${percent(mon.usage)}, ${percent(mon.winrate)}, ${percent(mon.leads)}\n`;
+				if(buf.length + line.length > DISCORD_MAX_LENGTH) break;
+				buf += line;
+			}
+			if(!usage.pokemon.length) buf += "None!";
+			return interaction.reply(buf);
+		}
+
+		case "leaderboard": {
+			const format = getMetagame(interaction);
+			if(!mh.metagamesArray.includes(format)) {
+				return interaction.reply(`Unknown metagame: ${format}`);
+			}
+			const list = ratings.leaderboard(format);
+			// Latest first; the ratings stay as that season ended until the next one starts.
+			const [ season ] = seasons.list();
+
+			let buf = "";
+			if(season?.ended) {
+				buf += `${season.name} has ended, and games are not rated until the next season starts. Final standings: /season standings\n`;
+			}
+			buf += `Leaderboard of ${format}${season ? ` in ${season.name}` : ""}:\n`;
+			buf += list.map((x, i) => `${i + 1}. ${x.name}: ${Math.round(x.rating)} ±${Math.round(x.deviation)} (${x.wins}W ${x.losses}L)`).join("\n") || "None!";
+			return interaction.reply(buf);
+		}
+
+		case "season": {
+			switch(interaction.options.getSubcommand()) {
+
+				case "start": {
+					try {
+						const season = seasons.start({
+							name: interaction.options.getString("name"),
+							reset: interaction.options.getString("reset") ?? undefined,
+							decay: interaction.options.getNumber("decay") ?? undefined,
+						});
+						let buf = "";
+						buf += `Started ${season.name} (#${season.id}) with a ${season.reset} reset.`;
+						if(season.decay) buf += ` Ratings decay by ${season.decay} for every week without a rated game.`;
+						return announce(interaction, buf);
+					}
+					catch(err) {
+						return interaction.reply(err.message);
+					}
+				}
+
+				case "end": {
+					try {
+						const season = seasons.end();
+						return announce(interaction, `Ended ${season.name} (#${season.id}). See the final standings with /season standings id:${season.id}`);
+					}
+					catch(err) {
+						return interaction.reply(err.message);
+					}
+				}
+
+				case "list": {
+					const list = seasons.list();
+					const date = (x) => x ? `<t:${x}:d>` : "now";
+					let buf = "";
+					buf += "Seasons:\n";
+					buf += list.map((x) => `#${x.id} ${x.name}: ${date(x.started)} - ${date(x.ended)} (${x.reset} reset${x.decay ? `, decay ${x.decay}` : ""})`).join("\n") || "None!";
+					return interaction.reply(buf.slice(0, DISCORD_MAX_LENGTH));
+				}
+
+				case "standings": {
+					const id = interaction.options.getInteger("id");
+					const season = id ? seasons.get(id) : seasons.list().find((x) => x.ended);
+					if(!season) {
+						return interaction.reply(id ? `Unknown season: #${id}` : "No season has ended yet.");
+					}
+					if(!season.ended) {
+						return interaction.reply(`${season.name} is still running. Try /leaderboard`);
+					}
+
+					// Metagames rotate, so past seasons are not checked against the loaded ones.
+					const format = getMetagame(interaction);
+					let buf = "";
+					if(!format) {
+						buf += `Metagames of ${season.name}:\n`;
+						buf += seasons.formats(season.id).map((x) => `${x.format} (${x.players} players)`).join("\n") || "None!";
+						return interaction.reply(buf.slice(0, DISCORD_MAX_LENGTH));
+					}
+					buf += `Final standings of ${format} in ${season.name}:\n`;
+					buf += seasons.standings(season.id, format)
+					.map((x) => `${x.rank}. ${x.name}: ${Math.round(x.rating)} ±${Math.round(x.deviation)} (${x.wins}W ${x.losses}L)`)
+					.join("\n") || "None!";
+					return interaction.reply(buf);
+				}
+
+			}
+			break;
+		}
+
+		case "profile": {
+			const user = interaction.options.getUser("user") ?? interaction.user;
+			const link = links.get(user.id);
+			if(!link) {
+				return interaction.reply(user.id === interaction.user.id
+				? "Link your Pokemon Showdown account first. Try /link request"
+				: `<@${user.id}> has not linked a Pokemon Showdown account.`);
+			}
+
+			const opponent = interaction.options.getString("opponent");
+			const profile = replays.profile(link.name, { opponent, limit: 5 });
+			const { games, wins, losses } = profile.record;
+
+			let buf = "";
+			buf += `Profile of ${link.name} (<@${user.id}>):\n`;
+			buf += `Record: ${wins}W ${losses}L in ${games} archived replays\n`;
+			buf += "Ratings:\n";
+			buf += ratings.list(link.name).map((x) => `${x.format}: ${Math.round(x.rating)} ±${Math.round(x.deviation)} (${x.wins}W ${x.losses}L)`).join("\n") || "None!";
+			buf += opponent ? `\nAgainst ${opponent}:\n` : "\nMost played opponents:\n";
+			buf += profile.opponents.map((x) => `${x.name}: ${x.wins}W ${x.losses}L`).join("\n") || "None!";
+			buf += "\nMost used pokemon:\n";
+			buf += profile.pokemon.map((x) => `${x.species} (${x.teams})`).join(", ") || "None!";
+			buf += "\nRecent replays:\n";
+			buf += profile.recent.map((x) => {
+				const date = x.timestamp ? `<t:${x.timestamp}:d>` : "Unknown date";
+				return `${date} ${x.format ?? "Unknown format"} - <${x.link}>`;
+			}).join("\n") || "None!";
+			return interaction.reply(buf.slice(0, DISCORD_MAX_LENGTH));
+		}
+
+		case "rating": {
+			const player = interaction.options.getString("player") ?? links.get(interaction.user.id)?.name;
+			if(!player) {
+				return interaction.reply("Specify a player, or link your Pokemon Showdown account. Try /link request");
+			}
+			const list = ratings.list(player);
+
+			let buf = "";
+			buf += `Ratings of ${player}:\n`;
+			buf += list.map((x) => `${x.format}: ${Math.round(x.rating)} ±${Math.round(x.deviation)} (${x.wins}W ${x.losses}L)`).join("\n") || "None!";
+			return interaction.reply(buf);
+		}
+
+		case "link": {
+			switch(interaction.options.getSubcommand()) {
+
+				case "request": {
+					const username = interaction.options.getString("username");
+					return interaction.deferReply({ flags: MessageFlags.Ephemeral })
+					.then(() => links.request(interaction.user.id, username))
+					.then(() => {
+						return interaction.followUp(`Sent a code to ${username} by PM on Pokemon Showdown. Enter it with /link confirm`);
+					})
+					.catch((err) => {
+						return interaction.followUp(`Could not send a code: ${describeError(err)}`);
+					});
+				}
+
+				case "confirm": {
+					try {
+						const link = links.confirm(interaction.user.id, interaction.options.getString("code"));
+						return interaction.reply({ content: `Linked to ${link.name}!`, flags: MessageFlags.Ephemeral });
+					}
+					catch(err) {
+						return interaction.reply({ content: err.message, flags: MessageFlags.Ephemeral });
+					}
+				}
+
+				case "status": {
+					const link = links.get(interaction.user.id);
+					if(!link) return interaction.reply({ content: "Not linked.", flags: MessageFlags.Ephemeral });
+					return interaction.reply({ content: `Linked to ${link.name} since <t:${link.linked}:d>.`, flags: MessageFlags.Ephemeral });
+				}
+
+				case "remove": {
+					const removed = links.unlink(interaction.user.id);
+					return interaction.reply({ content: removed ? "Unlinked." : "Not linked.", flags: MessageFlags.Ephemeral });
+				}
+
+			}
+			break;
+		}
+
+		case "queue": {
+			switch(interaction.options.getSubcommand()) {
+
+				case "join": {
+					if(!mh.psbots) {
+						return interaction.reply("Factory battles are disabled.");
+					}
+
+					const format = getMetagame(interaction, "format");
+					if(!mh.metagamesBF.includes(format)) {
+						return interaction.reply(`Unknown factory format: ${format}`);
+					}
+
+					const link = links.get(interaction.user.id);
+					if(!link) {
+						return interaction.reply("Link your Pokemon Showdown account first. Try /link request");
+					}
+
+					let pair;
+					try {
+						pair = mm.join({
+							id: interaction.user.id,
+							username: link.name,
+							format,
+							channelId: interaction.channelId,
+						});
+					}
+					catch(err) {
+						return interaction.reply(err.message);
+					}
+
+					if(!pair) {
+						return interaction.reply(`Joined the queue for ${format}. Waiting for an opponent ...`);
+					}
+
+					return interaction.reply(`Found a match in ${format}: <@${pair[0].id}> vs <@${pair[1].id}>. Starting the battle ...`)
+					.then(() => startFactoryBattle(interaction, pair));
+				}
+
+				case "leave": {
+					const entry = mm.leave(interaction.user.id);
+					if(!entry) return interaction.reply("You are not in the queue.");
+					return interaction.reply(`Left the queue for ${entry.format}.`);
+				}
+
+				case "status": {
+					const entry = mm.find(interaction.user.id);
+					const status = mm.status();
+					let buf = "";
+					buf += entry
+					? `You are waiting in ${entry.format} since <t:${entry.joined}:R>.\n`
+					: "You are not in the queue.\n";
+					buf += "Waiting players:\n";
+					buf += status.map((x) => `${x.format}: ${x.waiting}`).join("\n") || "None!";
+					return interaction.reply(buf);
+				}
+
+			}
+			break;
+		}
+
+		case "series": {
+			switch(interaction.options.getSubcommand()) {
+
+				case "challenge": {
+					if(!mh.psbots) {
+						return interaction.reply("Factory battles are disabled.");
+					}
+
+					const opponent = interaction.options.getUser("opponent");
+					const format = getMetagame(interaction, "format");
+					if(format && !mh.metagamesBF.includes(format)) {
+						return interaction.reply(`Unknown factory format: ${format}`);
+					}
+					if(opponent.id === interaction.user.id) {
+						return interaction.reply("You can't play a series against yourself.");
+					}
+					if(seriesChallenges.has(opponent.id)) {
+						return interaction.reply(`<@${opponent.id}> already has a series challenge waiting.`);
+					}
+
+					const link1 = links.get(interaction.user.id);
+					const link2 = links.get(opponent.id);
+					if(!link1 || !link2) {
+						return interaction.reply("Both players must link their Pokemon Showdown accounts first. Try /link request");
+					}
+
+					const ids = [interaction.user.id, opponent.id];
+					const series = {
+						player1: link1.name,
+						player2: link2.name,
+						bestOf: interaction.options.getInteger("best-of") ?? 3,
+						format: format ?? undefined,
+						rerollFormat: interaction.options.getBoolean("reroll-format") ?? false,
+						rerollTeams: interaction.options.getBoolean("reroll-teams") ?? true,
+						swap: interaction.options.getBoolean("swap-sides") ?? true,
+						noshow: cfg.noShowWindow,
+						fallbackCode: settings.get(interaction.guildId).fallbackCode,
+						context: { kind: "series", channel: settingsChannel(interaction, "resultsChannel")?.id ?? interaction.channelId, users: ids },
+					};
+
+					// Series are rated, so they only start once the opponent accepts.
+					const challenge = { series, ids, timer: null };
+					challenge.timer = setTimeout(() => {
+						if(seriesChallenges.get(opponent.id) !== challenge) return;
+						seriesChallenges.delete(opponent.id);
+						interaction.channel?.send(`<@${interaction.user.id}> Your series challenge to <@${opponent.id}> expired.`)
+						.catch(console.error);
+					}, SERIES_ACCEPT_WINDOW * 1000);
+					seriesChallenges.set(opponent.id, challenge);
+
+					return interaction.reply(`<@${opponent.id}>, <@${interaction.user.id}> challenges you to a best of ${series.bestOf}${format ? ` in ${format}` : ""}. Accept with /series accept or decline with /series decline <t:${Math.floor(Date.now() / 1000) + SERIES_ACCEPT_WINDOW}:R>.`);
+				}
+
+				case "accept": {
+					const challenge = seriesChallenges.get(interaction.user.id);
+					if(!challenge) {
+						return interaction.reply("You have no series challenge waiting.");
+					}
+					seriesChallenges.delete(interaction.user.id);
+					clearTimeout(challenge.timer);
+
+					const [ id1, id2 ] = challenge.ids;
+					return interaction.reply(`Best of ${challenge.series.bestOf}: <@${id1}> vs <@${id2}>. Starting the first game ...`)
+					.then(() => {
+						// Not returned, so the series doesn't count as a running command until it ends.
+						startFactorySeries(interaction, challenge.series, challenge.ids);
+					});
+				}
+
+				case "decline": {
+					const challenge = seriesChallenges.get(interaction.user.id);
+					if(!challenge) {
+						return interaction.reply("You have no series challenge waiting.");
+					}
+					seriesChallenges.delete(interaction.user.id);
+					clearTimeout(challenge.timer);
+					return interaction.reply(`<@${challenge.ids[0]}> <@${interaction.user.id}> declined your series challenge.`);
+				}
+
+			}
+			break;
+		}
+
+		case "tour": {
+			if(!interaction.guildId) {
+				return interaction.reply("Tournaments are only available in servers.");
+			}
+
+			const subcommand = interaction.options.getSubcommand();
+
+			if(subcommand === "create") {
+				const format = getMetagame(interaction);
+				if(!mh.metagamesArray.includes(format)) {
+					return interaction.reply(`Unknown metagame: ${format}`);
+				}
+				try {
+					const tour = tours.create({
+						guild: interaction.guildId,
+						name: interaction.options.getString("name"),
+						format,
+						type: interaction.options.getString("type"),
+						rounds: interaction.options.getInteger("rounds"),
+					});
+					return announce(interaction, `Created ${tour.name} (#${tour.id}), a ${tour.type} tournament in ${tour.format}. Join with /tour join`);
+				}
+				catch(err) {
+					return interaction.reply(err.message);
+				}
+			}
+
+			let tour;
+			try {
+				tour = tours.get(interaction.guildId, interaction.options.getInteger("id"));
+			}
+			catch(err) {
+				return interaction.reply(err.message);
+			}
+
+			switch(subcommand) {
+
+				case "join": {
+					const link = links.get(interaction.user.id);
+					if(!link) {
+						return interaction.reply("Link your Pokemon Showdown account first. Try /link request");
+					}
+					try {
+						tours.join(tour, link);
+						return interaction.reply(`Joined ${tour.name} as ${link.name}.`);
+					}
+					catch(err) {
+						return interaction.reply(err.message);
+					}
+				}
+
+				case "leave": {
+					try {
+						tours.leave(tour, interaction.user.id);
+						return interaction.reply(`Left ${tour.name}.`);
+					}
+					catch(err) {
+						return interaction.reply(err.message);
+					}
+				}
+
+				case "start": {
+					let progress;
+					try {
+						progress = tours.start(tour);
+					}
+					catch(err) {
+						return interaction.reply(err.message);
+					}
+					launchTourRound(settingsChannel(interaction, "announcementChannel"), progress);
+					return announce(interaction, describeTourProgress(progress));
+				}
+
+				case "report": {
+					const urlStr = interaction.options.getString("url");
+					let link = null;
+					return interaction.deferReply()
+					.then(() => {
+						const { trustedHosts } = settings.get(interaction.guildId);
+						const replay = checkReplayURL(urlStr, trustedHosts);
+						link = replay.link;
+						return mh.validate(replay.url, trustedHosts);
+					})
+					.then((out) => {
+						if(out.errors.length) throw out.errors;
+						const progress = tours.report(tour, link, out);
+						launchTourRound(settingsChannel(interaction, "announcementChannel"), progress);
+
+						let buf = `Reported match #${progress.match.id}. Winner: <@${progress.match.winner}>\n${describeTourProgress(progress)}`;
+						// The result stands even if the replay could not be archived.
+						try {
+							replays.archive(link, out, tour.format);
+						}
+						catch(err) {
+							console.error(err);
+							buf += "\nCould not archive this replay.";
+						}
+						return interaction.followUp(buf);
+					})
+					.catch((err) => {
+						return interaction.followUp(`Could not report: ${describeError(err)}`);
+					});
+				}
+
+				case "override": {
+					try {
+						const winner = interaction.options.getUser("winner").id;
+						const progress = tours.override(tour, interaction.options.getInteger("match"), winner);
+						launchTourRound(settingsChannel(interaction, "announcementChannel"), progress);
+						return interaction.reply(`Match #${progress.match.id} winner set to <@${winner}>.\n${describeTourProgress(progress)}`);
+					}
+					catch(err) {
+						return interaction.reply(err.message);
+					}
+				}
+
+				case "bracket": {
+					const players = tours.players(tour);
+					const name = (id) => players.find((x) => x.discord === id)?.name ?? "?";
+
+					let buf = "";
+					buf += `${tour.name} (#${tour.id}) - ${tour.type} - ${tour.format} - ${tour.state}\n`;
+					let round = 0;
+					for(const match of tours.matches(tour)) {
+						if(match.round !== round) {
+							round = match.round;
+							buf += `Round ${round}:\n`;
+						}
+						if(!match.p2) {
+							buf += `#${match.id}: ${name(match.p1)} has a bye\n`;
+							continue;
+						}
+						const [ p1, p2 ] = [match.p1, match.p2].map((x) => match.winner === x ? `**${name(x)}**` : name(x));
+						buf += `#${match.id}: ${p1} vs ${p2}${match.replay ? ` - <${match.replay}>` : ""}\n`;
+					}
+					buf += "Standings:\n";
+					buf += tours.standings(tour)
+					.map((x, i) => `${i + 1}. ${x.name} (${x.wins}W ${x.losses}L)`)
+					.join("\n") || "None!";
+					return interaction.reply(buf);
+				}
+
+			}
+			break;
+		}
+
+		case "settings": {
+			if(!interaction.inGuild()) {
+				return interaction.reply("Settings are only available in servers.");
+			}
+
+			const subcommand = interaction.options.getSubcommand();
+			if(subcommand === "show") {
+				const current = settings.get(interaction.guildId);
+				const describe = (key, value) => {
+					if(Array.isArray(value)) return value.join(", ");
+					if(key.endsWith("Channel")) return value ? `<#${value}>` : "where the command is used";
+					return value === null ? "None" : `${value}`;
+				};
+				let buf = "";
+				buf += "Settings of this server:\n";
+				buf += Object.entries(Settings.SETTINGS)
+				.map(([ key, { description } ]) => `${description} (${key}): ${describe(key, current[key])}`)
+				.join("\n");
+				return interaction.reply(buf.slice(0, DISCORD_MAX_LENGTH));
+			}
+
+			const key = interaction.options.getString("key");
+			try {
+				if(subcommand === "reset") {
+					return interaction.reply(settings.reset(interaction.guildId, key)
+					? `Reset ${key} to its default.`
+					: `${key} already has its default.`);
+				}
+
+				const value = settings.parse(key, interaction.options.getString("value"));
+				if(key.endsWith("Channel")) {
+					const channel = client.channels.cache.get(value);
+					if(channel?.guildId !== interaction.guildId || !channel.isTextBased()) {
+						return interaction.reply("Give a text channel of this server.");
+					}
+				}
+				settings.set(interaction.guildId, key, value);
+				return interaction.reply(`Set ${key}. See /settings show`);
+			}
+			catch(err) {
+				return interaction.reply(err.message);
+			}
+		}
+
+		case "permissions": {
+			if(!interaction.inGuild()) {
+				return interaction.reply("Permissions are only available in servers.");
 			}
 
+			const subcommand = interaction.options.getSubcommand();
+			if(subcommand === "list") {
+				const list = permissions.list(interaction.guildId);
+				let buf = "";
+				buf += "Members with the Administrator permission can do everything in this server.\n";
+				buf += Object.entries(Permissions.CAPABILITIES).map(([ capability, description ]) => {
+					const roles = list.filter((x) => x.capability === capability).map((x) => `<@&${x.role}>`);
+					return `${capability} - ${description}: ${roles.join(", ") || "None!"}`;
+				}).join("\n");
+				return interaction.reply({ content: buf, allowedMentions: { parse: [] } });
+			}
+
+			const role = interaction.options.getRole("role");
+			const capability = interaction.options.getString("capability");
+			try {
+				if(subcommand === "grant") {
+					return interaction.reply({
+						content: permissions.grant(interaction.guildId, role.id, capability)
+						? `Granted ${capability} to <@&${role.id}>.`
+						: `<@&${role.id}> already has ${capability}.`,
+						allowedMentions: { parse: [] },
+					});
+				}
+				return interaction.reply({
+					content: permissions.revoke(interaction.guildId, role.id, capability)
+					? `Revoked ${capability} from <@&${role.id}>.`
+					: `<@&${role.id}> does not have ${capability}.`,
+					allowedMentions: { parse: [] },
+				});
+			}
+			catch(err) {
+				return interaction.reply(err.message);
+			}
+		}
+
+		case "deploy": {
+			const capabilityChoices = Object.entries(Permissions.CAPABILITIES).map(([ value, name ]) => ({ name, value }));
+			const settingChoices = Object.entries(Settings.SETTINGS).map(([ value, { description } ]) => ({ name: description, value }));
+
 			const commands = [
 
 				new SlashCommandBuilder()
@@ -217,7 +976,7 @@ client.on(Events.InteractionCreate, (interaction) => {
 
 				new SlashCommandBuilder()
 					.setName("meta-to-chalcode")
-					.setDescription("meta-to-chalcode")
+					.setDescription("Generate the full challenge code of a metagame.")
 					.addStringOption((o) => o
 						.setName("metagame")
 						.setDescription("metagame")
@@ -232,13 +991,363 @@ client.on(Events.InteractionCreate, (interaction) => {
 						.setDescription("list")
 						.setRequired(true)),
 
+				new SlashCommandBuilder()
+					.setName("check-team")
+					.setDescription("Check a team against a metagame.")
+					.addStringOption((o) => o
+						.setName("metagame")
+						.setDescription("metagame")
+						.setRequired(true)
+						.setAutocomplete(true))
+					.addStringOption((o) => o
+						.setName("team")
+						.setDescription("Packed team (attach exports as a file)"))
+					.addAttachmentOption((o) => o
+						.setName("file")
+						.setDescription("Showdown export or packed team")),
+
 				new SlashCommandBuilder()
 					.setName("validate")
 					.setDescription("Parse a replay into useful information.")
 					.addStringOption((o) => o
 						.setName("url")
-						.setDescription("Replay URL")
-						.setRequired(true)),
+						.setDescription("Replay URL"))
+					.addAttachmentOption((o) => o
+						.setName("file")
+						.setDescription("Replay .log file"))
+					.addStringOption((o) => o
+						.setName("log")
+						.setDescription("Short excerpt of a replay .log; upload whole logs as file")
+						.setMaxLength(DISCORD_MAX_OPTION_LENGTH))
+					.addStringOption((o) => o
+						.setName("metagame")
+						.setDescription("Rate the players in this metagame (URL only)")
+						.setAutocomplete(true)),
+
+				new SlashCommandBuilder()
+					.setName("replays")
+					.setDescription("Search archived replays.")
+					.addStringOption((o) => o
+						.setName("player")
+						.setDescription("Pokemon Showdown username"))
+					.addStringOption((o) => o
+						.setName("metagame")
+						.setDescription("metagame")
+						.setAutocomplete(true))
+					.addStringOption((o) => o
+						.setName("pokemon")
+						.setDescription("Pokemon on either team"))
+					.addStringOption((o) => o
+						.setName("from")
+						.setDescription("Earliest date, as YYYY-MM-DD"))
+					.addStringOption((o) => o
+						.setName("to")
+						.setDescription("Latest date, as YYYY-MM-DD")),
+
+				new SlashCommandBuilder()
+					.setName("stats")
+					.setDescription("Usage statistics of a metagame, from archived replays.")
+					.addStringOption((o) => o
+						.setName("metagame")
+						.setDescription("metagame")
+						.setRequired(true)
+						.setAutocomplete(true))
+					.addStringOption((o) => o
+						.setName("pokemon")
+						.setDescription("Show the teammates and moves of this pokemon"))
+					.addStringOption((o) => o
+						.setName("from")
+						.setDescription("Earliest date, as YYYY-MM-DD"))
+					.addStringOption((o) => o
+						.setName("to")
+						.setDescription("Latest date, as YYYY-MM-DD"))
+					.addIntegerOption((o) => o
+						.setName("bracket")
+						.setDescription("Only players rated at least this much")
+						.addChoices(
+							{ name: "1500+", value: 1500 },
+							{ name: "1630+", value: 1630 },
+							{ name: "1760+", value: 1760 },
+						)),
+
+				new SlashCommandBuilder()
+					.setName("leaderboard")
+					.setDescription("Show the highest rated players of a metagame.")
+					.addStringOption((o) => o
+						.setName("metagame")
+						.setDescription("metagame")
+						.setRequired(true)
+						.setAutocomplete(true)),
+
+				new SlashCommandBuilder()
+					.setName("season")
+					.setDescription("Ladder seasons.")
+					.addSubcommand((s) => s
+						.setName("start")
+						.setDescription("Start a season and reset the ratings. (bot owner)")
+						.addStringOption((o) => o
+							.setName("name")
+							.setDescription("Name")
+							.setRequired(true))
+						.addStringOption((o) => o
+							.setName("reset")
+							.setDescription("How to reset the ratings (default: soft)")
+							.addChoices(
+								{ name: "Hard - everyone starts over", value: "hard" },
+								{ name: "Soft - halfway back to 1500", value: "soft" },
+								{ name: "None - only records start over", value: "none" },
+							))
+						.addNumberOption((o) => o
+							.setName("decay")
+							.setDescription("Rating lost per week without a rated game (default: 0)")
+							.setMinValue(0)))
+					.addSubcommand((s) => s
+						.setName("end")
+						.setDescription("End the season and archive its standings. (bot owner)"))
+					.addSubcommand((s) => s
+						.setName("list")
+						.setDescription("Show all seasons."))
+					.addSubcommand((s) => s
+						.setName("standings")
+						.setDescription("Show the final standings of a past season.")
+						.addIntegerOption((o) => o
+							.setName("id")
+							.setDescription("Season id (default: latest ended)"))
+						.addStringOption((o) => o
+							.setName("metagame")
+							.setDescription("metagame (default: list them)")
+							.setAutocomplete(true))),
+
+				new SlashCommandBuilder()
+					.setName("profile")
+					.setDescription("Show the ratings, record and replays of a player.")
+					.addUserOption((o) => o
+						.setName("user")
+						.setDescription("Discord user, linked to Pokemon Showdown (default: you)"))
+					.addStringOption((o) => o
+						.setName("opponent")
+						.setDescription("Pokemon Showdown username, for the head-to-head record")),
+
+				new SlashCommandBuilder()
+					.setName("rating")
+					.setDescription("Show the ratings of a player.")
+					.addStringOption((o) => o
+						.setName("player")
+						.setDescription("Pokemon Showdown username (default: yours)")),
+
+				new SlashCommandBuilder()
+					.setName("link")
+					.setDescription("Link your Pokemon Showdown account.")
+					.addSubcommand((s) => s
+						.setName("request")
+						.setDescription("Get a code by PM on Pokemon Showdown.")
+						.addStringOption((o) => o
+							.setName("username")
+							.setDescription("Your Pokemon Showdown username")
+							.setRequired(true)))
+					.addSubcommand((s) => s
+						.setName("confirm")
+						.setDescription("Confirm the code you received.")
+						.addStringOption((o) => o
+							.setName("code")
+							.setDescription("Code")
+							.setRequired(true)))
+					.addSubcommand((s) => s
+						.setName("status")
+						.setDescription("Show your linked account."))
+					.addSubcommand((s) => s
+						.setName("remove")
+						.setDescription("Unlink your account.")),
+
+				new SlashCommandBuilder()
+					.setName("queue")
+					.setDescription("35 Factory matchmaking.")
+					.addSubcommand((s) => s
+						.setName("join")
+						.setDescription("Wait for an opponent in a factory format.")
+						.addStringOption((o) => o
+							.setName("format")
+							.setDescription("Factory format")
+							.setRequired(true)
+							.setAutocomplete(true)))
+					.addSubcommand((s) => s
+						.setName("leave")
+						.setDescription("Stop waiting for an opponent."))
+					.addSubcommand((s) => s
+						.setName("status")
+						.setDescription("Show who is waiting.")),
+
+				new SlashCommandBuilder()
+					.setName("series")
+					.setDescription("Best-of series of 35 Factory battles.")
+					.addSubcommand((s) => s
+						.setName("challenge")
+						.setDescription("Challenge someone to a series.")
+						.addUserOption((o) => o
+							.setName("opponent")
+							.setDescription("Discord user, linked to Pokemon Showdown")
+							.setRequired(true))
+						.addIntegerOption((o) => o
+							.setName("best-of")
+							.setDescription("Number of games, 3 by default")
+							.addChoices(
+								{ name: "Bo3", value: 3 },
+								{ name: "Bo5", value: 5 },
+							))
+						.addStringOption((o) => o
+							.setName("format")
+							.setDescription("Factory format, random by default")
+							.setAutocomplete(true))
+						.addBooleanOption((o) => o
+							.setName("reroll-format")
+							.setDescription("Pick a new random format every game"))
+						.addBooleanOption((o) => o
+							.setName("reroll-teams")
+							.setDescription("New teams every game, on by default"))
+						.addBooleanOption((o) => o
+							.setName("swap-sides")
+							.setDescription("Swap sides every game, on by default")))
+					.addSubcommand((s) => s
+						.setName("accept")
+						.setDescription("Accept the series challenge you received."))
+					.addSubcommand((s) => s
+						.setName("decline")
+						.setDescription("Decline the series challenge you received.")),
+
+				new SlashCommandBuilder()
+					.setName("tour")
+					.setDescription("35 Pokes tournaments.")
+					.addSubcommand((s) => s
+						.setName("create")
+						.setDescription("Create a tournament. (admin)")
+						.addStringOption((o) => o
+							.setName("name")
+							.setDescription("Name")
+							.setRequired(true))
+						.addStringOption((o) => o
+							.setName("metagame")
+							.setDescription("metagame")
+							.setRequired(true)
+							.setAutocomplete(true))
+						.addStringOption((o) => o
+							.setName("type")
+							.setDescription("Bracket type")
+							.setRequired(true)
+							.addChoices(
+								{ name: "Single elimination", value: "single" },
+								{ name: "Double elimination", value: "double" },
+								{ name: "Swiss", value: "swiss" },
+							))
+						.addIntegerOption((o) => o
+							.setName("rounds")
+							.setDescription("Swiss rounds (default: based on player count)")
+							.setMinValue(1)))
+					.addSubcommand((s) => s
+						.setName("join")
+						.setDescription("Join a tournament.")
+						.addIntegerOption((o) => o
+							.setName("id")
+							.setDescription("Tournament id (default: latest)")))
+					.addSubcommand((s) => s
+						.setName("leave")
+						.setDescription("Leave a tournament before it starts.")
+						.addIntegerOption((o) => o
+							.setName("id")
+							.setDescription("Tournament id (default: latest)")))
+					.addSubcommand((s) => s
+						.setName("start")
+						.setDescription("Close signups and pair the first round. (admin)")
+						.addIntegerOption((o) => o
+							.setName("id")
+							.setDescription("Tournament id (default: latest)")))
+					.addSubcommand((s) => s
+						.setName("report")
+						.setDescription("Report the replay of your match.")
+						.addStringOption((o) => o
+							.setName("url")
+							.setDescription("Replay URL")
+							.setRequired(true))
+						.addIntegerOption((o) => o
+							.setName("id")
+							.setDescription("Tournament id (default: latest)")))
+					.addSubcommand((s) => s
+						.setName("override")
+						.setDescription("Set the winner of a match. (admin)")
+						.addIntegerOption((o) => o
+							.setName("match")
+							.setDescription("Match id, as in /tour bracket")
+							.setRequired(true))
+						.addUserOption((o) => o
+							.setName("winner")
+							.setDescription("Winner")
+							.setRequired(true))
+						.addIntegerOption((o) => o
+							.setName("id")
+							.setDescription("Tournament id (default: latest)")))
+					.addSubcommand((s) => s
+						.setName("bracket")
+						.setDescription("Show matches and standings.")
+						.addIntegerOption((o) => o
+							.setName("id")
+							.setDescription("Tournament id (default: latest)"))),
+
+				new SlashCommandBuilder()
+					.setName("settings")
+					.setDescription("Settings of this server.")
+					.addSubcommand((s) => s
+						.setName("show")
+						.setDescription("Show all settings."))
+					.addSubcommand((s) => s
+						.setName("set")
+						.setDescription("Change a setting. (settings)")
+						.addStringOption((o) => o
+							.setName("key")
+							.setDescription("Setting")
+							.setRequired(true)
+							.addChoices(...settingChoices))
+						.addStringOption((o) => o
+							.setName("value")
+							.setDescription("New value")
+							.setRequired(true)))
+					.addSubcommand((s) => s
+						.setName("reset")
+						.setDescription("Restore the default of a setting. (settings)")
+						.addStringOption((o) => o
+							.setName("key")
+							.setDescription("Setting")
+							.setRequired(true)
+							.addChoices(...settingChoices))),
+
+				new SlashCommandBuilder()
+					.setName("permissions")
+					.setDescription("Capabilities of roles in this server.")
+					.addSubcommand((s) => s
+						.setName("grant")
+						.setDescription("Grant a capability to a role. (administrator)")
+						.addRoleOption((o) => o
+							.setName("role")
+							.setDescription("Role")
+							.setRequired(true))
+						.addStringOption((o) => o
+							.setName("capability")
+							.setDescription("Capability")
+							.setRequired(true)
+							.addChoices(...capabilityChoices)))
+					.addSubcommand((s) => s
+						.setName("revoke")
+						.setDescription("Revoke a capability from a role. (administrator)")
+						.addRoleOption((o) => o
+							.setName("role")
+							.setDescription("Role")
+							.setRequired(true))
+						.addStringOption((o) => o
+							.setName("capability")
+							.setDescription("Capability")
+							.setRequired(true)
+							.addChoices(...capabilityChoices)))
+					.addSubcommand((s) => s
+						.setName("list")
+						.setDescription("Show which roles have which capabilities.")),
 
 				new SlashCommandBuilder()
 					.setName("deploy")
@@ -270,10 +1379,553 @@ client.on(Events.InteractionCreate, (interaction) => {
 	}
 
 	return interaction.reply("Unknown command! Try /deploy");
-});
+}
+
+// MATCHMAKING
+
+// Seconds for a challenged player to accept a series.
+const SERIES_ACCEPT_WINDOW = 5 * 60;
+
+/** @type {Map<string, { series: Object, ids: [string, string], timer: NodeJS.Timeout }>} Discord user id of the challenged player -> their pending challenge */
+const seriesChallenges = new Map();
+
+/**
+ * Hosts a factory battle for a pair from the queue, then posts the room and later the replay in the channel of the interaction.
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction
+ * @param {import("./Matchmaking.js").QueueEntry[]} pair
+ */
+function startFactoryBattle(interaction, [ p1, p2 ]) {
+	const mentions = `<@${p1.id}> <@${p2.id}>`;
+	const results = settingsChannel(interaction, "resultsChannel");
+	const battle = {
+		format: p1.format,
+		noshow: cfg.noShowWindow,
+		fallbackCode: settings.get(interaction.guildId).fallbackCode,
+		context: { kind: "factory", channel: results?.id ?? interaction.channelId, users: [p1.id, p2.id] },
+		side1: { usernames: [p1.username] },
+		side2: { usernames: [p2.username] },
+	};
+	const relay = openBattleRelay(battle);
+	return Promise.resolve()
+	.then(() => mh.generateBattle(battle))
+	.then(({ room, result }) => {
+		result
+		.then((result) => results?.send(`${mentions} ${rateFactoryResult(result, battle.format)}`))
+		.catch((err) => results?.send(`${mentions} Lost track of the battle: ${describeError(err)}`))
+		.catch(console.error);
+
+		return interaction.followUp(`${mentions} Your battle is ready: ${room}`)
+		.then((message) => {
+			relay(message);
+			return message;
+		});
+	})
+	.catch((err) => {
+		return interaction.followUp(`${mentions} Could not start the battle: ${describeError(err)}`);
+	});
+}
+
+/**
+ * Follows the factory battles that were pending when the bot stopped, and posts their results where they were started.
+ * Series are not continued; only the game that was being played is.
+ */
+function resumeFactoryBattles() {
+	for(const { job, battle, started } of mh.resumeBattles()) {
+		const context = battle.context;
+		if(!context?.channel) {
+			started.catch(() => {});
+			continue;
+		}
+
+		const mentions = context.users.map((x) => `<@${x}>`).join(" ");
+		const relay = openBattleRelay(battle);
+		client.channels.fetch(context.channel)
+		.then((channel) => started
+			.then(({ room, result }) => {
+				const game = context.kind === "series" ? `game ${context.game} of your series` : "battle";
+				channel.send(`${mentions} The bot restarted, but is still following your ${game}: ${room}`)
+				.then(relay)
+				.catch(console.error);
+				return result;
+			})
+			.then((result) => {
+				if(context.kind === "tour") return reportTourResult(channel, tours.get(context.guild, context.tour), context.match, result);
+				return channel.send(`${mentions} ${rateFactoryResult(result, battle.format)}`);
+			})
+			.catch((err) => {
+				return channel.send(`${mentions} Lost track of your battle${job.room ? ` ${job.room}` : ""} after a restart: ${describeError(err)}`);
+			})
+		)
+		.catch(console.error);
+	}
+}
+
+/**
+ * Plays a best-of-N factory series between two linked players, and posts every game and the final score in the channel.
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction
+ * @param {Parameters<import("./MetagameHelper.js")["generateSeries"]>[0]} series
+ * @param {[string, string]} ids - Discord user ids of player1 and player2.
+ */
+function startFactorySeries(interaction, series, ids) {
+	const mentions = ids.map((x) => `<@${x}>`).join(" ");
+	const names = [series.player1, series.player2];
+	const results = settingsChannel(interaction, "resultsChannel");
+	return mh.generateSeries(series, ({ game, score, battle, started }) => {
+		const relay = openBattleRelay(battle);
+		started
+		.then(({ room, result }) => {
+			interaction.channel?.send(`${mentions} Game ${game} (${score.join("-")}) in ${battle.format}: ${room}`)
+			.then(relay)
+			.catch(console.error);
+			return result;
+		})
+		.then((result) => results?.send(`Game ${game}: ${rateFactoryResult(result, battle.format)}`))
+		.catch(console.error);
+	})
+	.then(({ score, winner }) => {
+		const buf = winner === null
+		? `The series ended without a winner at ${score.join("-")}.`
+		: `<@${ids[winner]}> (${names[winner]}) won the series ${Math.max(...score)}-${Math.min(...score)}!`;
+		return results?.send(`${mentions} ${buf}`);
+	})
+	.catch((err) => {
+		const score = err?.series?.score.join("-") ?? "0-0";
+		return results?.send(`${mentions} The series was stopped at ${score}: ${describeError(err)}`);
+	})
+	.catch(console.error);
+}
+
+/**
+ * Rates a factory battle hosted by the bots.
+ * @param {import("./PSBots.js").BattleResult} result
+ * @param {string} format
+ * @returns {string} - the outcome, the replay and the rating changes.
+ */
+function rateFactoryResult(result, format) {
+	let buf = describeBattleResult(result);
+	if(result.replay) buf += `\nReplay: ${result.replay}`;
+	try {
+		const [ a, b ] = ratings.rateResult(result, format);
+		buf += `\nRatings: ${a.after.name} ${Math.round(a.before.rating)} -> ${Math.round(a.after.rating)}, ${b.after.name} ${Math.round(b.before.rating)} -> ${Math.round(b.after.rating)}`;
+	}
+	catch(err) {
+		buf += `\nNot rated: ${describeError(err)}`;
+	}
+	return buf;
+}
+
+/**
+ * @param {import("./PSBots.js").BattleResult} result
+ * @returns {string}
+ */
+function describeBattleResult(result) {
+	switch(result.outcome) {
+		case "win": return `${result.winner} won the battle!`;
+		case "tie": return "The battle ended in a tie.";
+		case "forfeit": {
+			const when = result.forfeit.preview ? " at team preview" : ` on turn ${result.turn}`;
+			return `${result.forfeit.user} forfeited${when}. ${result.winner} wins!`;
+		}
+		case "noshow": {
+			const buf = `No-show: ${result.noshows.join(", ")} did not join the battle in time.`;
+			return result.winner ? `${buf} ${result.winner} wins!` : buf;
+		}
+		case "wrongplayer": {
+			const list = result.wrongPlayers.map((x) => `${x.actual} played instead of ${x.expected}`);
+			return `The result does not count: ${list.join(", ")}.`;
+		}
+	}
+}
+
+/**
+ * PSBots rejects with errors, strings or { reason, msgraw }, and the rest of the bot throws arrays of these sometimes.
+ * @param {any} err
+ * @returns {string}
+ */
+function describeError(err) {
+	if(typeof err === "string") return err;
+	if(Array.isArray(err)) return err.map(describeError).join(", ");
+	return err?.reason ?? err?.message ?? JSON.stringify(err);
+}
+
+/**
+ * Outages of the factory bots are logged, and posted in cfg.psStatusChannel if there is one.
+ * @param {import("./PSBots.js")} psbots
+ */
+function watchPSBots(psbots) {
+	const report = (text) => {
+		console.log(text);
+		if(!cfg.psStatusChannel) return;
+		client.channels.fetch(cfg.psStatusChannel)
+		.then((channel) => channel.send(text))
+		.catch(console.error);
+	};
+
+	psbots.on("disconnect", ({ bot, code }) => {
+		report(`PS bot ${bot} lost its connection (code ${code}). Reconnecting ...`);
+	});
+	psbots.on("reconnecting", ({ bot, attempt, delay }) => {
+		console.log(`PS bot ${bot}: reconnection attempt ${attempt} in ${delay}s`);
+	});
+	psbots.on("reconnect", ({ bot, attempt, rooms }) => {
+		let buf = `PS bot ${bot} is back after ${attempt} attempt(s).`;
+		if(rooms.length) buf += ` Rejoined battles: ${rooms.join(", ")}`;
+		report(buf);
+	});
+}
+
+// BATTLE RELAY
+
+/** @type {WeakMap<Object, { summary: BattleRelay, thread: Promise<import("discord.js").ThreadChannel | null> }>} battle -> its relay */
+const battleRelays = new WeakMap();
+
+/**
+ * Prepares a thread for a factory battle that is about to be generated. What happens before the thread exists is posted once it does.
+ * @param {Object} battle - the object that will be given to mh.generateBattle.
+ * @returns {(message: import("discord.js").Message) => void} - opens the thread on the message announcing the battle.
+ */
+function openBattleRelay(battle) {
+	let open;
+	const thread = new Promise((res) => open = res)
+	.then((message) => {
+		const [ p1, p2 ] = [battle.side1, battle.side2].map((x) => x.confirmed ?? x.usernames[0]);
+		return message.startThread({ name: `${p1} vs ${p2}`.slice(0, 100) });
+	})
+	.catch((err) => {
+		console.error(err);
+		return null;
+	});
+	battleRelays.set(battle, { summary: new BattleRelay(), thread });
+	return open;
+}
+
+/**
+ * Posts in the thread of a battle, after everything posted before.
+ * @param {Object} battle
+ * @param {string | null} text
+ */
+function postToBattleRelay(battle, text) {
+	const relay = battleRelays.get(battle);
+	if(!relay || !text) return;
+	relay.thread = relay.thread.then((thread) => {
+		if(!thread) return null;
+		// Nicknames and usernames come from PS, where "@everyone" is a valid nickname.
+		return thread.send({ content: text, allowedMentions: { parse: [] } })
+		.catch(console.error)
+		.then(() => thread);
+	});
+}
+
+/**
+ * Relays the battles of the factory bots into the threads opened for them.
+ * @param {import("./PSBots.js")} psbots
+ */
+function relayBattles(psbots) {
+	psbots.on("log", ({ battle, lines }) => {
+		const relay = battleRelays.get(battle);
+		if(!relay) return;
+		for(const summary of relay.summary.push(lines)) {
+			postToBattleRelay(battle, summary);
+		}
+	});
+	psbots.on("win", ({ battle, winner }) => {
+		postToBattleRelay(battle, battleRelays.get(battle)?.summary.flush());
+		postToBattleRelay(battle, `**${winner} won the battle!**`);
+	});
+	psbots.on("tie", ({ battle }) => {
+		postToBattleRelay(battle, battleRelays.get(battle)?.summary.flush());
+		postToBattleRelay(battle, "**The battle ended in a tie.**");
+	});
+	psbots.on("replay", ({ battle, url }) => {
+		postToBattleRelay(battle, `Replay: ${url}`);
+		battleRelays.delete(battle);
+	});
+}
+
+// TOURNAMENTS
+
+/**
+ * Describes the outcome of a change to a tournament.
+ * @param {import("./Tournaments.js").Progress} progress
+ * @returns {string}
+ */
+function describeTourProgress({ tour, matches }) {
+	if(tour.state === "finished") {
+		return `${tour.name} is over! Winner: <@${tour.winner}>`;
+	}
+	if(!matches.length) return "";
+
+	let buf = "";
+	buf += `${tour.name} round ${tour.round}:`;
+	for(const match of matches) {
+		buf += match.p2
+		? `\n#${match.id}: <@${match.p1}> vs <@${match.p2}>`
+		: `\n#${match.id}: <@${match.p1}> has a bye`;
+	}
+
+	if(isFactoryTour(tour)) buf += "\nStarting the battles ...";
+
+	return buf;
+}
+
+/**
+ * @param {import("./Tournaments.js").Tournament} tour
+ * @returns {boolean} - whether the bots host its battles.
+ */
+function isFactoryTour(tour) {
+	return Boolean(mh.psbots) && mh.metagamesBF.includes(tour.format);
+}
+
+/**
+ * Launches the battles of a factory tournament round, if the change to the tournament started one.
+ * @param {import("discord.js").TextBasedChannel} channel - where to post about the battles.
+ * @param {import("./Tournaments.js").Progress} progress
+ */
+function launchTourRound(channel, { tour, matches }) {
+	if(tour.state === "finished" || !matches.length || !isFactoryTour(tour)) return;
+	launchTourMatches(channel, tour, matches.filter((x) => x.p2));
+}
+
+/**
+ * Hosts the battles of factory tournament matches one after another, and reports each replay when it is saved.
+ * @param {import("discord.js").TextBasedChannel} channel
+ * @param {import("./Tournaments.js").Tournament} tour
+ * @param {import("./Tournaments.js").Match[]} matches
+ */
+function launchTourMatches(channel, tour, matches) {
+	const players = tours.players(tour);
+	const name = (id) => players.find((x) => x.discord === id).name;
+
+	// Battles are started one at a time, so the bots don't confuse their challenges.
+	let queue = Promise.resolve();
+	for(const match of matches) {
+		const mentions = `<@${match.p1}> <@${match.p2}>`;
+		const data = {
+			format: tour.format,
+			noshow: cfg.noShowWindow,
+			fallbackCode: settings.get(tour.guild).fallbackCode,
+			context: { kind: "tour", channel: channel.id, users: [match.p1, match.p2], guild: tour.guild, tour: tour.id, match: match.id },
+			side1: { usernames: [name(match.p1)] },
+			side2: { usernames: [name(match.p2)] },
+		};
+		const relay = openBattleRelay(data);
+		const battle = queue
+		.then(() => mh.generateBattle(data));
+		queue = battle.catch(() => {});
+
+		battle
+		.then(({ room, result }) => {
+			channel.send(`${mentions} Your ${tour.name} battle is ready: ${room}`)
+			.then(relay)
+			.catch(console.error);
+			return result;
+		})
+		.then((result) => reportTourResult(channel, tour, match.id, result))
+		.catch((err) => {
+			return channel.send(`${mentions} Match #${match.id} could not be completed automatically: ${describeError(err)}\nReport the replay with /tour report, or ask an admin.`);
+		})
+		.catch(console.error);
+	}
+}
+
+/**
+ * Records the result of a factory tournament battle, through its replay if the bots saved one.
+ * @param {import("discord.js").TextBasedChannel} channel
+ * @param {import("./Tournaments.js").Tournament} tour
+ * @param {number} id - match id.
+ * @param {import("./PSBots.js").BattleResult} result
+ */
+function reportTourResult(channel, tour, id, result) {
+	// Without a replay there is nothing to validate, so only the outcome seen by the bots counts.
+	if(!result.replay || result.outcome !== "win" && result.outcome !== "forfeit") {
+		const progress = tours.reportResult(tours.get(tour.guild, tour.id), id, result);
+		launchTourRound(channel, progress);
+		return channel.send(`Reported match #${id}. ${describeBattleResult(result)} Winner: <@${progress.match.winner}>\n${describeTourProgress(progress)}`);
+	}
+
+	const { url: log, link } = checkReplayURL(result.replay);
+	return mh.validate(log)
+	.then((out) => {
+		if(out.errors.length) throw out.errors;
+		const progress = tours.report(tours.get(tour.guild, tour.id), link, out);
+		launchTourRound(channel, progress);
+
+		let buf = `Reported match #${id}. Winner: <@${progress.match.winner}> - <${link}>\n${describeTourProgress(progress)}`;
+		try {
+			replays.archive(link, out, tour.format);
+		}
+		catch(err) {
+			console.error(err);
+			buf += "\nCould not archive this replay.";
+		}
+		return channel.send(buf);
+	});
+}
+
+// MISC
+
+/**
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction
+ * @param {string} [option] - name of the metagame option.
+ * @returns {string | null} - in the default group of the server if given without one.
+ */
+function getMetagame(interaction, option = "metagame") {
+	const format = interaction.options.getString(option);
+	if(!format || format.includes("/")) return format;
+	const group = settings.get(interaction.guildId).defaultGroup;
+	return group ? `${group}/${format}` : format;
+}
+
+/**
+ * Replies, and posts the same in the announcement channel of the server if it is another one.
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction
+ * @param {string} content
+ */
+function announce(interaction, content) {
+	const channel = settingsChannel(interaction, "announcementChannel");
+	return interaction.reply(content)
+	.then((response) => {
+		if(!channel || channel.id === interaction.channelId) return response;
+		return channel.send(content).then(() => response);
+	});
+}
+
+/**
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction
+ * @param {"announcementChannel" | "resultsChannel"} key - see Settings.js
+ * @returns {import("discord.js").TextBasedChannel} - the channel of the interaction if the setting is unset or the channel is gone.
+ */
+function settingsChannel(interaction, key) {
+	const id = settings.get(interaction.guildId)[key];
+	const channel = id ? client.channels.cache.get(id) : null;
+	return channel?.isTextBased() ? channel : interaction.channel;
+}
+
+/**
+ * Who can use which commands and subcommands; everything not listed here is open to everyone.
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction
+ * @returns {string | null} - why the user can't use it, or null if they can.
+ */
+function checkPermission(interaction) {
+	const subcommand = interaction.options.getSubcommand(false);
+	switch(interaction.commandName) {
+		case "refresh":
+		case "deploy": {
+			return isOwner(interaction) ? null : OWNERS_ONLY;
+		}
+		case "season": {
+			if(["start", "end"].includes(subcommand) && !isOwner(interaction)) return OWNERS_ONLY;
+			break;
+		}
+		case "tour": {
+			if(["create", "start"].includes(subcommand) && !can(interaction, "tournaments")) return missingPermission("tournaments");
+			if(subcommand === "override" && !can(interaction, "results")) return missingPermission("results");
+			break;
+		}
+		case "settings": {
+			if(["set", "reset"].includes(subcommand) && !can(interaction, "settings")) return missingPermission("settings");
+			break;
+		}
+		case "permissions": {
+			// Only administrators can hand out capabilities, so no capability leads to the others.
+			if(["grant", "revoke"].includes(subcommand) && !interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+				return "Only members with the Administrator permission are allowed to manage permissions.";
+			}
+			break;
+		}
+	}
+	return null;
+}
+
+/**
+ * Bot owners are listed by Discord user id in cfg.owners. Only they manage what all servers share:
+ * the deployed commands, the metagames index and the ladder seasons.
+ * Usernames in cfg.admins, from older configs, still count until they are moved over; see the warning at launch.
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction
+ * @returns {boolean}
+ */
+function isOwner(interaction) {
+	return Boolean(cfg.owners?.includes(interaction.user.id) || cfg.admins?.includes(interaction.user.username));
+}
+
+/**
+ * Whether the member who used the command has a capability in this server. See Permissions.js
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction
+ * @param {string} capability
+ * @returns {boolean} - always false outside of servers.
+ */
+function can(interaction, capability) {
+	if(!interaction.inGuild()) return false;
+	// Members of guilds that aren't cached come as API data, with an array of role ids.
+	const roles = Array.isArray(interaction.member.roles)
+	? interaction.member.roles
+	: Array.from(interaction.member.roles.cache.keys());
+	const administrator = interaction.memberPermissions.has(PermissionFlagsBits.Administrator);
+	return permissions.allowed(interaction.guildId, roles, capability, administrator);
+}
+
+/**
+ * @param {string} capability
+ * @returns {string}
+ */
+function missingPermission(capability) {
+	return `You need the ${capability} capability for this. Ask an administrator, see /permissions list`;
+}
+
+/**
+ * Sanity checks for replay URLs given by users.
+ * @param {string} urlStr
+ * @param {string[]} [trustedHosts] - those of the server by default, e.g. for replays saved by the bots.
+ * @returns {{ url: URL, link: string }} - the .log to fetch, and the replay page to recognize the same replay however it was pasted.
+ * @throws {string[]}
+ */
+function checkReplayURL(urlStr, trustedHosts = mh.server.trustedHosts) {
+	let url;
+	try { url = new URL(urlStr); }
+	catch { throw ["URL invalid"]; }
+	const errors = [];
+
+	const { replayHost } = mh.server;
+
+	// Private servers may serve replays without TLS, but only from the replay host itself.
+	if(url.protocol !== "https:" && url.origin !== new URL(replayHost).origin) {
+		errors.push("URL wrong protocol");
+	}
+
+	if(!trustedHosts.includes(url.hostname)) {
+		errors.push("URL host name not trusted");
+	}
+
+	if(errors.length) throw errors;
+
+	url.search = "";
+	url.hash = "";
+	const link = url.href.replace(/\.log$/, "");
+
+	if(!url.pathname.endsWith(".log")) {
+		url.pathname += ".log";
+	}
+
+	return { url, link };
+}
+
+/**
+ * @param {string} str - date as YYYY-MM-DD, in UTC.
+ * @returns {number} - unix timestamp in seconds.
+ */
+function parseDate(str) {
+	if(!/^\d{4}-\d{2}-\d{2}$/.test(str)) throw new Error(`Invalid date: ${str} (expected YYYY-MM-DD)`);
+	const ms = Date.parse(str);
+	if(Number.isNaN(ms)) throw new Error(`Invalid date: ${str}`);
+	return ms / 1000;
+}
 
 // LAUNCH
 
+if(cfg.admins?.length) {
+	console.warn("config.json: \"admins\" lists usernames, which anyone can take after a rename. Move them to \"owners\" as Discord user ids.");
+}
+
 client.once(Events.ClientReady, (client) => {
 	console.log(`Ready! Logged in as ${client.user.tag}`);
 });
@@ -286,6 +1938,11 @@ Promise.all([
 	return client.login(cfg.token);
 })
 .then(() => {
+	if(mh.psbots) {
+		watchPSBots(mh.psbots);
+		relayBattles(mh.psbots);
+	}
+	resumeFactoryBattles();
 	console.log("Successfully launched!");
 })
 .catch((errors) => {
@@ -0,0 +1,117 @@
+/**
+ * Links.js
+ *
+ * Verified links between Discord accounts and Pokemon Showdown usernames, stored in players.db.
+ * To prove ownership of a PS account, the user receives a one-time code there by PM from the PS bots, then confirms it in Discord.
+ */
+
+"use strict";
+const crypto = require("node:crypto");
+const { toID } = require("./pokemon-showdown/dist/sim/index.js");
+const PSBots = require("./PSBots.js");
+
+// How long a code can be confirmed for, in seconds.
+const CODE_LIFETIME = 10 * 60;
+
+/**
+ * @typedef {Object} Link
+ * @property {string} discord - Discord user id.
+ * @property {string} player - PS user id.
+ * @property {string} name - PS username as it was linked.
+ * @property {number} linked - unix timestamp in seconds.
+ */
+
+module.exports = class {
+
+	/** @type {import("./MetagameHelper.js")} */
+	#mh = null;
+
+	/** @type {Map<string, { name: string, code: string, expires: number }>} Discord user id -> pending verification. */
+	#pending = new Map();
+
+	constructor(mh) {
+		this.#mh = mh;
+	}
+
+	/**
+	 * @param {string} discord - Discord user id.
+	 * @returns {Link | null}
+	 */
+	get(discord) {
+		return this.#mh.stmt.SELECT_LINK.get(discord) ?? null;
+	}
+
+	/**
+	 * @param {string} name - PS username.
+	 * @returns {Link | null}
+	 */
+	getByPlayer(name) {
+		return this.#mh.stmt.SELECT_LINK_BY_PLAYER.get(toID(name)) ?? null;
+	}
+
+	/**
+	 * Sends a one-time code to the PS user. A new request replaces the previous one.
+	 * @param {string} discord - Discord user id.
+	 * @param {string} name - PS username.
+	 * @returns {Promise<void>}
+	 */
+	async request(discord, name) {
+		if(!this.#mh.psbots) throw new Error("Account linking is disabled.");
+		if(!PSBots.isUsername(name)) throw new Error("Invalid username.");
+
+		const owner = this.getByPlayer(name);
+		if(owner && owner.discord !== discord) {
+			throw new Error(`${owner.name} is already linked to another Discord account.`);
+		}
+
+		const code = crypto.randomBytes(4).toString("hex");
+		await this.#mh.psbots.pm(name, `Your Discord account link code is ${code} - use it with /link confirm within 10 minutes. If you did not request this, ignore it.`);
+
+		this.#pending.set(discord, {
+			name,
+			code,
+			expires: Math.floor(Date.now() / 1000) + CODE_LIFETIME,
+		});
+	}
+
+	/**
+	 * @param {string} discord - Discord user id.
+	 * @param {string} code - as received by PM.
+	 * @returns {Link}
+	 */
+	confirm(discord, code) {
+		const pending = this.#pending.get(discord);
+		if(!pending || pending.expires < Date.now() / 1000) {
+			this.#pending.delete(discord);
+			throw new Error("No pending link. Request a new code first.");
+		}
+		if(pending.code !== code.trim().toLowerCase()) {
+			throw new Error("Wrong code.");
+		}
+
+		const owner = this.getByPlayer(pending.name);
+		if(owner && owner.discord !== discord) {
+			throw new Error(`${owner.name} is already linked to another Discord account.`);
+		}
+
+		this.#pending.delete(discord);
+
+		const link = {
+			discord,
+			player: toID(pending.name),
+			name: pending.name,
+			linked: Math.floor(Date.now() / 1000),
+		};
+		this.#mh.stmt.UPSERT_LINK.run(link);
+		return link;
+	}
+
+	/**
+	 * @param {string} discord - Discord user id.
+	 * @returns {boolean} - whether there was a link.
+	 */
+	unlink(discord) {
+		return this.#mh.stmt.DELETE_LINK.run(discord).changes > 0;
+	}
+
+};
@@ -0,0 +1,90 @@
+/**
+ * Matchmaking.js
+ *
+ * This is a queue of players waiting for a 35 Factory battle, one queue per factory format.
+ * As soon as two different players are waiting in the same format, they are taken out together as a pair.
+ * Starting the battle itself is up to the caller.
+ *
+ * Queues only live in memory; they are empty after a restart.
+ */
+
+"use strict";
+
+/**
+ * @typedef {Object} QueueEntry
+ * @property {string} id - Discord user id.
+ * @property {string} username - Pokemon Showdown username.
+ * @property {string} format - factory format, as in MetagameHelper.metagamesBF.
+ * @property {string} channelId - where the player joined from.
+ * @property {number} joined - unix timestamp in seconds.
+ */
+
+module.exports = class {
+
+	/** @type {Map<string, QueueEntry[]>} format -> waiting players, oldest first. */
+	#queues = new Map();
+
+	/**
+	 * Puts a player in the queue of a format, or pairs them with whoever has been waiting there the longest.
+	 * @param {Omit<QueueEntry, "joined">} player
+	 * @returns {[QueueEntry, QueueEntry] | null} - the pair, oldest first, or null if the player is now waiting.
+	 */
+	join(player) {
+		if(this.find(player.id)) {
+			throw new Error("You are already in the queue.");
+		}
+		const username = player.username.toLowerCase();
+		for(const queue of this.#queues.values()) {
+			if(queue.some((x) => x.username.toLowerCase() === username)) {
+				throw new Error(`${player.username} is already in the queue.`);
+			}
+		}
+
+		const entry = { ...player, joined: Math.floor(Date.now() / 1000) };
+		const queue = this.#queues.get(entry.format) ?? [];
+
+		if(queue.length) {
+			const opponent = queue.shift();
+			if(!queue.length) this.#queues.delete(entry.format);
+			return [opponent, entry];
+		}
+
+		queue.push(entry);
+		this.#queues.set(entry.format, queue);
+		return null;
+	}
+
+	/**
+	 * @param {string} id - Discord user id.
+	 * @returns {QueueEntry | null} - the removed entry, or null if the player was not waiting.
+	 */
+	leave(id) {
+		const entry = this.find(id);
+		if(!entry) return null;
+		const queue = this.#queues.get(entry.format);
+		queue.splice(queue.indexOf(entry), 1);
+		if(!queue.length) this.#queues.delete(entry.format);
+		return entry;
+	}
+
+	/**
+	 * @param {string} id - Discord user id.
+	 * @returns {QueueEntry | null}
+	 */
+	find(id) {
+		for(const queue of this.#queues.values()) {
+			const entry = queue.find((x) => x.id === id);
+			if(entry) return entry;
+		}
+		return null;
+	}
+
+	/**
+	 * @returns {{ format: string, waiting: number }[]} - only formats with someone waiting.
+	 */
+	status() {
+		return Array.from(this.#queues.entries())
+		.map(([ format, queue ]) => ({ format, waiting: queue.length }));
+	}
+
+};
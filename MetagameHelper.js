@@ -5,8 +5,45 @@ const { spawn } = require("child_process");
 const { DatabaseSync, StatementSync } = require("node:sqlite");
 const { Dex, Teams, toID } = require("./pokemon-showdown/dist/sim/index.js");
 
+// "abilities:1:...,2:...,3:...,4:..." in metagames refer to these slots.
+const ABILITY_SLOTS = ["0", "1", "H", "S"];
+
+// Lines where the holder of an ability in "[from] ability:" is in "[of]", not the first pokemon.
+// Not "-heal": absorbing abilities heal their holder with the attacker in "[of]".
+const ABILITY_HOLDER_OF = ["-damage", "-item", "-weather", "-fieldstart", "-status", "-start"];
+
+// Dated copies of every metagames index downloaded, named "<unix timestamp of the commit>-<commit>".
+const PATH_SNAPSHOTS = path.join(__dirname, "metagames-snapshots");
+
+// Challenge code of factory battles whose metagame has none, e.g. when it failed to load.
+const FACTORY_FALLBACK_CODE = "gen9nationaldex35pokes @@@ +nduber, +ndag, +ndou, +nduubl, +nduu, +ndrubl, +ndru, +ndnfe, +ndlc";
+
+// PS drops websocket messages over 100 KB, and the challenge code is sent in one along with the rest of the command.
+const MAX_CHALLENGE_CODE_LENGTH = 100 * 1024 - 1024;
+
+// Built-in Showdown server profiles; config.json can add more in "psServers" and select one in "psServer".
+// "local" is MockShowdown.js on its default port.
+const SERVERS = {
+	main: {
+		websocket: "wss://sim3.psim.us/showdown",
+		login: "https://play.pokemonshowdown.com/~~showdown/action.php",
+		client: "https://play.pokemonshowdown.com",
+		replayHost: "https://replay.pokemonshowdown.com",
+		trustedHosts: ["replay.pokemonshowdown.com"],
+	},
+	local: {
+		websocket: "ws://127.0.0.1:8000/showdown",
+		login: "http://127.0.0.1:8000/~~showdown/action.php",
+		client: "http://127.0.0.1:8000",
+		replayHost: "http://127.0.0.1:8000",
+		trustedHosts: ["127.0.0.1"],
+	},
+};
+
 module.exports = class {
 
+	static FACTORY_FALLBACK_CODE = FACTORY_FALLBACK_CODE;
+
 	#metagamesObject = {};
 	get metagamesObject() {
 		return this.#metagamesObject;
@@ -20,6 +57,9 @@ module.exports = class {
 
 	#gametypes = {};
 
+	/** @type {Map<string, { metagames: Object.<string, Object.<string, {}[]>>, gametypes: Object.<string, string[]> }>} snapshot name -> interpreted index */
+	#snapshots = new Map();
+
 	/** @type {DatabaseSync} */
 	#db = null;
 
@@ -33,21 +73,36 @@ module.exports = class {
 
 	#generatorBF = null;
 
+	// Set while refreshMetagames runs.
+	#refreshing = false;
+	get refreshing() {
+		return this.#refreshing;
+	}
+
 	#psbots = null;
 	get psbots() {
 		return this.#psbots;
 	}
 
-	constructor(bf) {
-		this.#prepareDB();
+	/** @type {ServerProfile} the selected Showdown server, for the bots and for replays. */
+	#server = { name: "main", ...SERVERS.main };
+	get server() {
+		return this.#server;
+	}
+
+	/**
+	 * @param {boolean} bf - set up the factory team generator and the bots.
+	 * @param {string} [dbpath] - e.g. ":memory:" for tests.
+	 */
+	constructor(bf, dbpath = path.join(__dirname, "players.db")) {
+		this.#prepareDB(dbpath);
 		if(bf) {
 			const bf = Dex.formats.get("gen9battlefactory");
 			this.#generatorBF = Teams.getGenerator(bf);
 		}
 	}
 
-	#prepareDB() {
-		const dbpath = path.join(__dirname, "players.db");
+	#prepareDB(dbpath) {
 		const stpath = path.join(__dirname, "statements.sql");
 		this.#db = new DatabaseSync(dbpath);
 		const statements = fs.readFileSync(stpath, { encoding: "utf-8" });
@@ -59,12 +114,36 @@ module.exports = class {
 			if(i[1] === "STARTUP") {
 				this.#db.exec(i[2]);
 			}
+			// Schema changes for databases created by older versions; these fail harmlessly on up to date ones.
+			else if(i[1] === "MIGRATE") {
+				try { this.#db.exec(i[2]); }
+				catch {}
+			}
 			else {
 				this.stmt[i[1]] = this.#db.prepare(i[2]);
 			}
 		}
 	}
 
+	/**
+	 * Runs the callback inside a database transaction, which is rolled back if it throws.
+	 * @template T
+	 * @param {() => T} fn - must be synchronous.
+	 * @returns {T}
+	 */
+	transaction(fn) {
+		this.#db.exec("BEGIN");
+		try {
+			const result = fn();
+			this.#db.exec("COMMIT");
+			return result;
+		}
+		catch(err) {
+			this.#db.exec("ROLLBACK");
+			throw err;
+		}
+	}
+
 	/**
 	 * Ensures that a metagames index is available.
 	 */
@@ -78,13 +157,22 @@ module.exports = class {
 		const errors_load = await this.loadMetagames();
 		errors.push(...errors_load);
 
+		// Tools like validate-offline.js run without a config.
+		const configPath = path.join(__dirname, "config.json");
+		const config = fs.existsSync(configPath) ? require(configPath) : {};
+		try {
+			this.#server = selectServer(config);
+		}
+		catch(err) {
+			errors.push(err);
+			return errors;
+		}
+
 		if(!this.#generatorBF) return errors;
 
 		try {
 			const psbots = require("./PSBots.js");
-			const configPath = path.join(__dirname, "config.json");
-			const { psAuth } = require(configPath);
-			this.#psbots = new psbots(psAuth);
+			this.#psbots = new psbots(config.psAuth, this.#server);
 			await this.#psbots.connect();
 		}
 		catch(err) {
@@ -121,28 +209,272 @@ module.exports = class {
 		: species_effective.name;
 	}
 
+	/**
+	 * Builds the full challenge code of a loaded metagame: base format, rules, pokemon, and ability and move changes.
+	 * The base format and any rules of the metagame's "code:" line are kept; otherwise they come from its generation and gametype.
+	 * @param {string} formatName - unique meta name.
+	 * @returns {{ code: string | null, errors: string[] }} - code is what goes after "/challenge "; errors are the parts PS can't express.
+	 */
+	toChallengeCode(formatName) {
+		const [ group, meta ] = formatName.split("/");
+		const metagame = this.#metagamesObject[group]?.[meta];
+		if(!metagame) return { code: null, errors: [`Unknown metagame: ${formatName}`] };
+
+		const rules = metagame[0];
+		const errors = [];
+		const clauses = [];
+
+		let gametype = "singles";
+		for(const x in this.#gametypes) {
+			if(this.#gametypes[x].includes(group) || this.#gametypes[x].includes(formatName)) {
+				gametype = x;
+				break;
+			}
+		}
+
+		let base;
+		const code = /^(?:\/challenge\s+)?([^@\s]+)\s*(?:@@@\s*(.*))?$/i.exec(rules.code ?? "");
+		if(code) {
+			base = code[1];
+			if(code[2]) clauses.push(...code[2].split(",").map((x) => x.trim()).filter((x) => x));
+		}
+		else {
+			const gen = Number(/\d+/.exec(rules.gen ?? "")?.[0] ?? 9);
+			if(gen === 9 && gametype === "singles") {
+				// Everything is banned in this one already.
+				base = "gen9nationaldex35pokes";
+			}
+			else {
+				base = `gen${gen}${gametype === "singles" ? "" : gametype}customgame`;
+				clauses.push(gametype === "doubles" ? "Standard Doubles" : "Standard", "-All Pokemon");
+			}
+		}
+
+		if(rules.mods?.includes("flipped")) clauses.push("Flipped Mod");
+
+		for(const entry of metagame.filter((x) => !x.header)) {
+			const name = this.toChalCode(entry.value);
+			if(!name) {
+				errors.push(`Invalid species: ${entry.value}`);
+				continue;
+			}
+			clauses.push(`+${name}`);
+
+			const species = Dex.species.get(entry.value);
+
+			const allowed = this.#allowedAbilities(entry);
+			if(allowed) {
+				const usual = Object.values(species.abilities);
+				for(const ability of usual) {
+					if(!allowed.some((x) => toID(x) === toID(ability))) clauses.push(`-${name} + ${ability}`);
+				}
+				for(const ability of allowed) {
+					if(!usual.some((x) => toID(x) === toID(ability))) errors.push(`${species.name} ability: ${ability} can't be given in a challenge code.`);
+				}
+			}
+
+			if(entry.moves) {
+				const banned = entry.moves.ban.some((x) => toID(x) === "all")
+				? Array.from(Dex.species.getMovePool(species.id, true)).map((x) => Dex.moves.get(x).name)
+				: entry.moves.ban;
+				for(const moveName of banned) {
+					const move = Dex.moves.get(moveName);
+					if(!move.exists) errors.push(`${species.name} has an invalid move: ${moveName}`);
+					else if(this.#isMoveBanned(entry, move.name)) clauses.push(`-${name} + ${move.name}`);
+				}
+				for(const moveName of entry.moves.add) {
+					const move = Dex.moves.get(moveName);
+					if(!move.exists) errors.push(`${species.name} has an invalid move: ${moveName}`);
+					else if(!this.#canLearn(species, move)) errors.push(`${species.name} move: ${move.name} can't be given in a challenge code.`);
+				}
+			}
+		}
+
+		// The "code:" line usually lists the pokemon already.
+		const seen = new Set();
+		const unique = clauses.filter((x) => {
+			const id = x.toLowerCase().replace(/\s/g, "");
+			if(seen.has(id)) return false;
+			seen.add(id);
+			return true;
+		});
+
+		return { code: `${base} @@@ ${unique.join(", ")}`, errors };
+	}
+
+	/**
+	 * Checks a team against a loaded metagame: species, ability slots, move additions and bans, and learnsets.
+	 * @param {string} text - Showdown export, packed team or JSON.
+	 * @param {string} formatName - unique meta name.
+	 * @returns {string[]} - every problem found.
+	 */
+	checkTeam(text, formatName) {
+		const [ group, meta ] = formatName.split("/");
+		const metagame = this.#metagamesObject[group]?.[meta];
+		if(!metagame) return [`Unknown metagame: ${formatName}`];
+
+		const team = Teams.import(text);
+		if(!team?.length) return ["Could not read the team. Use a Showdown export or a packed team."];
+
+		const entries = metagame.filter((x) => !x.header);
+		const problems = [];
+
+		for(const set of team) {
+			const species_input = Dex.species.get(set.species);
+			if(!species_input.exists) {
+				problems.push(`Invalid species: ${set.species}`);
+				continue;
+			}
+
+			// Normalized the same way as in parseMeta.
+			const baseSpecies = Dex.species.get(species_input.baseSpecies);
+			const species = baseSpecies.cosmeticFormes?.includes(species_input.name) ? baseSpecies : species_input;
+
+			const entry = entries.find((x) => x.value === species.name);
+			if(!entry) {
+				problems.push(`${species.name} is not in ${formatName}.`);
+				continue;
+			}
+
+			const ability = Dex.abilities.get(set.ability);
+			const allowed = this.#allowedAbilities(entry) ?? Object.values(species.abilities);
+			if(!ability.exists) {
+				problems.push(`${species.name} has an invalid ability: ${set.ability || "None"}`);
+			}
+			else if(!allowed.some((x) => toID(x) === ability.id)) {
+				problems.push(`${species.name} can't have ${ability.name}. Allowed: ${allowed.join(", ") || "None"}`);
+			}
+
+			for(const moveName of set.moves) {
+				const move = Dex.moves.get(moveName);
+				if(!move.exists) {
+					problems.push(`${species.name} has an invalid move: ${moveName}`);
+					continue;
+				}
+				if(this.#isMoveBanned(entry, move.name)) {
+					problems.push(`${species.name} can't use ${move.name} in ${formatName}.`);
+					continue;
+				}
+				const added = entry.moves?.add.some((x) => toID(x) === move.id);
+				if(!added && !this.#canLearn(species, move)) {
+					problems.push(`${species.name} can't learn ${move.name}.`);
+				}
+			}
+		}
+
+		return problems;
+	}
+
+	/**
+	 * Looks for a move in the learnsets of a species, its base forme and its pre-evolutions.
+	 * @param {import("./pokemon-showdown/dist/sim/dex-species.js").Species} species
+	 * @param {import("./pokemon-showdown/dist/sim/dex-moves.js").Move} move
+	 * @returns {boolean}
+	 */
+	#canLearn(species, move) {
+		let current = species;
+		while(current) {
+			if(Dex.species.getLearnsetData(current.id).learnset?.[move.id]) return true;
+			current = Dex.species.learnsetParent(current);
+		}
+		return false;
+	}
+
+	/**
+	 * @param {{ value: string, abilities?: (string | true)[] }} entry - a pokemon in an interpreted metagame.
+	 * @returns {string[] | null} - ability names, or null if the metagame keeps the usual ones.
+	 */
+	#allowedAbilities(entry) {
+		if(!entry.abilities) return null;
+		const species = Dex.species.get(entry.value);
+		return entry.abilities
+		.map((x, i) => x === true ? species.abilities[ABILITY_SLOTS[i]] : x)
+		.filter((x) => x);
+	}
+
+	/**
+	 * @param {{ moves?: { add: string[], ban: string[] } }} entry - a pokemon in an interpreted metagame.
+	 * @param {string} move - move name.
+	 * @returns {boolean}
+	 */
+	#isMoveBanned(entry, move) {
+		if(!entry.moves) return false;
+		const id = toID(move);
+		if(entry.moves.add.some((x) => toID(x) === id)) return false;
+		return entry.moves.ban.some((x) => toID(x) === id || toID(x) === "all");
+	}
+
+	/**
+	 * Reads a replay .log from the disk and parses it like validate. (works offline)
+	 * @param {string} filePath - e.g. a log saved from the PS client.
+	 */
+	async validateFile(filePath) {
+		let log_txt;
+		try {
+			log_txt = await fs.promises.readFile(filePath, { encoding: "utf-8" });
+		}
+		catch(err) {
+			return { errors: [`Could not read ${filePath}: ${err.message}`] };
+		}
+		return this.validate(log_txt);
+	}
+
 	/**
 	 * Parses the provided replay .log into relevant information.
-	 * @param {string} URL - a Pokemon Showdown replay URL.
+	 * @param {URL | string} source - a replay .log URL on a trusted host, or the contents of a .log.
+	 * @param {string[]} [trustedHosts] - host names replays can be fetched from; those of the server by default.
 	 */
-	async validate(URL) {
-		const log_res = await fetch(URL);
-		if(!log_res.ok) return { errors: [`Resource fetch failed: ${URL}`] };
-		const log_txt = await log_res.text();
-		const log = log_txt.split("\n");
+	async validate(source, trustedHosts = this.#server.trustedHosts) {
+		let log_txt = source;
+		if(source instanceof URL) {
+			if(!trustedHosts.includes(source.hostname)) return { errors: [`Replay host not trusted: ${source.hostname}`] };
+			const log_res = await fetch(source);
+			if(!log_res.ok) return { errors: [`Resource fetch failed: ${source}`] };
+			log_txt = await log_res.text();
+		}
+		// Logs saved on Windows have CRLF line endings.
+		const log = log_txt.split(/\r?\n/);
 
 		const errors = [];
 
 		let timestamp = null;
 		let gametype = "singles";
 		let winner = -1;
+		let turn = 0;
 
 		const battle = [];
 		const appearances = [];
 		const formats = new Map(); // unique meta name -> violations
 
+		// To attribute moves and abilities to species. (side -> nickname -> species name)
+		const nicknames = [];
+		// Moves and abilities of transformed pokemon belong to their target. (side -> nicknames)
+		const transformed = [];
+
+		// Records something revealed about a pokemon under battle[side][key], as species name -> values.
+		const reveal = (ident, key, value) => {
+			const [ position, ...nickname ] = ident.split(": ");
+			const side = Number(position.slice(1, 2)) - 1;
+			const name = nickname.join(": ");
+			const species = nicknames[side]?.get(name);
+			if(!species || transformed[side]?.has(name)) return;
+			battle[side][key] ??= new Map();
+			if(!battle[side][key].has(species)) battle[side][key].set(species, new Set());
+			battle[side][key].get(species).add(value);
+		};
+
 		for(const line of log) {
 			const data = line.split("|").filter((x) => x);
+
+			// Sample: "|-immune|p1a: Rotom|[from] ability: Levitate"
+			// Sample: "|-damage|p2a: Pika|88/100|[from] ability: Rough Skin|[of] p1a: Chompy"
+			// Abilities can be revealed as the cause of almost anything.
+			const fromAbility = data.find((x) => x.startsWith("[from] ability: "))?.slice(16);
+			if(fromAbility && data[0] !== "-ability") {
+				const of = data.find((x) => x.startsWith("[of] "))?.slice(5);
+				reveal(of && ABILITY_HOLDER_OF.includes(data[0]) ? of : data[1], "abilities", fromAbility);
+			}
+
 			switch(data[0]) {
 
 				// Sample: "|t:|1736869087"
@@ -189,8 +521,10 @@ module.exports = class {
 
 				// Sample: "|switch|p1a: Seismitoad|Seismitoad, F|351/351|[from] Baton Pass"
 				// Sample: "|switch|p1a: Erm ackshually|Leavanny, M|100/100"
+				// Sample: "|drag|p2a: Skarmory|Skarmory, F|100/100" (after Roar, Whirlwind, etc.)
 				// This reveals more than team preview.
-				case "switch": {
+				case "switch":
+				case "drag": {
 					const side = Number(data[1].split(":")[0].slice(1,2)) - 1;
 					if(Number.isNaN(side)) {
 						errors.push(`Invalid player side in ${line} (has the battle log syntax changed?)`);
@@ -205,6 +539,18 @@ module.exports = class {
 					battle[side] ??= {};
 					battle[side].reveals ??= new Set();
 					battle[side].reveals.add(species.name);
+					// Cosmetic formes are interchangeable, like in metagames.
+					const baseSpecies = Dex.species.get(species.baseSpecies);
+					const nickname = data[1].split(": ").slice(1).join(": ");
+					const name = baseSpecies.cosmeticFormes?.includes(species.name) ? baseSpecies.name : species.name;
+					nicknames[side] ??= new Map();
+					nicknames[side].set(nickname, name);
+					// Pokemon sent out before the first turn are the leads.
+					if(!turn && data[0] === "switch") {
+						battle[side].leads ??= [];
+						battle[side].leads.push(name);
+					}
+					transformed[side]?.delete(nickname);
 					// this is rlly heavy handed ...
 					if(species.baseSpecies !== species.name) {
 						battle[side].reveals.delete(species.baseSpecies);
@@ -212,6 +558,12 @@ module.exports = class {
 					break;
 				}
 
+				// Sample: "|turn|1"
+				case "turn": {
+					turn = Number(data[1]);
+					break;
+				}
+
 				// Appears
 				case "win": {
 					winner = battle.findIndex((x) => x.player === data[1]);
@@ -236,6 +588,58 @@ module.exports = class {
 					battle[side].reveals ??= new Set();
 					battle[side].reveals.delete(species.baseSpecies);
 					battle[side].reveals.add(species.name);
+					nicknames[side]?.set(data[1].split(": ").slice(1).join(": "), species.name);
+					break;
+				}
+
+				// Sample: "|move|p1a: Pika|Volt Tackle|p2a: Chompy"
+				// Sample: "|move|p2a: Snorlax|Body Slam|p1a: Pika|[from]Sleep Talk"
+				// Moves called by other moves are not part of the moveset.
+				case "move": {
+					if(data.some((x) => x.startsWith("[from]"))) break;
+					const move = Dex.moves.get(data[2]);
+					if(!move.exists || move.isZ || move.isMax || move.id === "struggle") break;
+					reveal(data[1], "moves", move.name);
+					break;
+				}
+
+				// Sample: "|-ability|p1a: Chompy|Rough Skin"
+				// Sample: "|-ability|p1a: Gardevoir|Intimidate|[from] ability: Trace|[of] p2a: Gyarados"
+				case "-ability": {
+					if(!fromAbility) {
+						reveal(data[1], "abilities", data[2]);
+						break;
+					}
+					reveal(data[1], "abilities", fromAbility);
+					const of = data.find((x) => x.startsWith("[of] "))?.slice(5);
+					if(of) reveal(of, "abilities", data[2]);
+					break;
+				}
+
+				// Sample: "|-activate|p1a: Ninetales|ability: Forewarn|Blizzard|[of] p2a: Chompy"
+				case "-activate": {
+					if(data[2]?.startsWith("ability: ")) {
+						reveal(data[1], "abilities", data[2].slice(9));
+					}
+					break;
+				}
+
+				// Sample: "|-terastallize|p1a: Gastrodon|Fairy"
+				case "-terastallize": {
+					reveal(data[1], "tera", data[2]);
+					break;
+				}
+
+				// Sample: "|-transform|p1a: Ditto|p2a: Chompy"
+				case "-transform": {
+					const [ position, ...nickname ] = data[1].split(": ");
+					const side = Number(position.slice(1, 2)) - 1;
+					if(Number.isNaN(side)) {
+						errors.push(`Invalid player side in ${line} (has the battle log syntax changed?)`);
+						continue;
+					}
+					transformed[side] ??= new Set();
+					transformed[side].add(nickname.join(": "));
 					break;
 				}
 
@@ -306,31 +710,57 @@ module.exports = class {
 		}
 		const pokemon = new Set(appearances);
 
-		for(const group in this.#metagamesObject) {
-			for(const meta in this.#metagamesObject[group]) BLOCK_META: {
+		// Validate against the metagames as they were when the battle was played.
+		const index = await this.#indexAt(timestamp);
+
+		for(const group in index.metagames) {
+			for(const meta in index.metagames[group]) BLOCK_META: {
 
 				// Prevent singles validating for doubles, etc.
 				const formatName = `${group}/${meta}`;
 				if(gametype === "singles"){
-					for(const x in this.#gametypes){
-						if(this.#gametypes[x].includes(group) || this.#gametypes[x].includes(formatName)){
+					for(const x in index.gametypes){
+						if(index.gametypes[x].includes(group) || index.gametypes[x].includes(formatName)){
 							break BLOCK_META;
 						}
 					}
 				}
 				else{
-					if(!this.#gametypes[gametype]?.includes(group) && !this.#gametypes[gametype]?.includes(formatName)){
+					if(!index.gametypes[gametype]?.includes(group) && !index.gametypes[gametype]?.includes(formatName)){
 						break BLOCK_META;
 					}
 				}
 
-				const format = this.#metagamesObject[group][meta].filter((x) => !x.header).map((x) => x.value);
+				const entries = index.metagames[group][meta].filter((x) => !x.header);
+				const format = entries.map((x) => x.value);
 				const violations = [];
 
 				for(const mon of pokemon) {
 					if(!format.includes(mon)) violations.push(mon);
 				}
 
+				for(const side of battle) {
+					for(const [ speciesName, moves ] of side.moves ?? []) {
+						const species = Dex.species.get(speciesName);
+						const entry = entries.find((x) => x.value === species.name) ?? entries.find((x) => x.value === species.baseSpecies);
+						if(!entry) continue;
+						for(const move of moves) {
+							if(this.#isMoveBanned(entry, move)) violations.push(`${species.name} move: ${move}`);
+						}
+					}
+
+					// Only exact matches; formes such as megas have their own abilities.
+					for(const [ speciesName, abilities ] of side.abilities ?? []) {
+						const entry = entries.find((x) => x.value === speciesName);
+						if(!entry) continue;
+						const allowed = this.#allowedAbilities(entry);
+						if(!allowed) continue;
+						for(const ability of abilities) {
+							if(!allowed.some((x) => toID(x) === toID(ability))) violations.push(`${speciesName} ability: ${ability}`);
+						}
+					}
+				}
+
 				formats.set(formatName, violations);
 				
 			}
@@ -343,11 +773,29 @@ module.exports = class {
 			formats,
 			winner,
 			timestamp,
+			snapshot: index.snapshot,
 			battle,
 			errors,
 		};
 	}
 
+	/**
+	 * Downloads and loads the latest metagames index. Only one refresh can run at a time, since the download overwrites the index on the disk.
+	 * @returns {Promise<any[]>} - errors; nothing is loaded if the download failed.
+	 */
+	async refreshMetagames() {
+		if(this.#refreshing) throw new Error("The metagames index is already being refreshed.");
+		this.#refreshing = true;
+		try {
+			const errors = await this.fetchMetagames();
+			if(errors.length) return errors;
+			return await this.loadMetagames();
+		}
+		finally {
+			this.#refreshing = false;
+		}
+	}
+
 	/**
 	 * Downloads the latest metagames index repository and stores it on the disk, overwriting previous instance.
 	 */
@@ -391,6 +839,16 @@ module.exports = class {
 			if(!target) throw new Error(`Unpacked data starting with \`${PREFIX_REPO}\` not found.`);
 			const PATH_OLD = path.join(__dirname, target);
 			await fs.promises.rename(PATH_OLD, PATH_NEW);
+
+			// Keep a dated copy, so that older replays can be validated against the index of their time.
+			const commit = target.slice(PREFIX_REPO.length + 1);
+			const snapshots = await this.#listSnapshots();
+			if(snapshots.at(-1)?.commit !== commit) {
+				// GitHub tarballs give every file the time of the commit, which is when the index took effect, not when we downloaded it.
+				const { mtimeMs } = await fs.promises.stat(path.join(PATH_NEW, "factory-sets.json"));
+				const name = `${Math.floor(mtimeMs / 1000)}-${commit}`;
+				await fs.promises.cp(PATH_NEW, path.join(PATH_SNAPSHOTS, name), { recursive: true });
+			}
 		}
 		catch(err) {
 			errors.push(err.message);
@@ -403,19 +861,78 @@ module.exports = class {
 	 * Interprets the metagames index stored on disk and loads it onto the memory. (good for reloading after manual edits)
 	 */
 	async loadMetagames() {
-		this.#metagamesObject = {};
-		this.#metagamesArray = [];
-		this.#gametypes = {};
+		const PATH_GROUPS = path.join(__dirname, "metagames");
+		const index = await this.#readIndex(PATH_GROUPS);
+		this.#metagamesObject = index.metagames;
+		this.#metagamesArray = index.array;
+		this.#gametypes = index.gametypes;
+
+		this.#metagamesBF = [];
+		const PATH_BATTLEFACTORY = path.join(PATH_GROUPS, "factory-sets.json");
+		const JSON_BATTLEFACTORY = JSON.parse(await fs.promises.readFile(PATH_BATTLEFACTORY, { encoding: "utf-8" }));
+		for(const format in JSON_BATTLEFACTORY) {
+			this.#metagamesBF.push(format);
+		}
+
+		return index.errors;
+	}
+
+	/**
+	 * @returns {Promise<{ name: string, time: number, commit: string }[]>} - oldest first.
+	 */
+	async #listSnapshots() {
+		if(!fs.existsSync(PATH_SNAPSHOTS)) return [];
+		const names = await fs.promises.readdir(PATH_SNAPSHOTS);
+		return names
+		.map((name) => /^(\d+)-(.+)$/.exec(name))
+		.filter((x) => x)
+		.map(([ name, time, commit ]) => ({ name, time: Number(time), commit }))
+		.sort((a, b) => a.time - b.time);
+	}
+
+	/**
+	 * Finds the metagames index that was in effect at the given time.
+	 * The latest snapshot is the one loaded in memory, so that manual edits count.
+	 * @param {number | null} timestamp - unix timestamp in seconds.
+	 * @returns {Promise<{ metagames: Object.<string, Object.<string, {}[]>>, gametypes: Object.<string, string[]>, snapshot: number | null }>} - snapshot is null for the loaded index.
+	 */
+	async #indexAt(timestamp) {
+		const current = { metagames: this.#metagamesObject, gametypes: this.#gametypes, snapshot: null };
+		const snapshots = await this.#listSnapshots();
+		if(!timestamp || !snapshots.length) return current;
+
+		// Older than every snapshot; the earliest one is the best guess.
+		const i = Math.max(snapshots.findLastIndex((x) => x.time <= timestamp), 0);
+		if(i === snapshots.length - 1) return current;
+
+		const { name, time } = snapshots[i];
+		if(!this.#snapshots.has(name)) {
+			const index = await this.#readIndex(path.join(PATH_SNAPSHOTS, name));
+			if(index.errors.length) console.warn(`Errors while reading snapshot ${name}:`, index.errors);
+			this.#snapshots.set(name, index);
+		}
+		const { metagames, gametypes } = this.#snapshots.get(name);
+		return { metagames, gametypes, snapshot: time };
+	}
+
+	/**
+	 * Interprets a metagames index stored on disk, without loading it.
+	 * @param {string} PATH_GROUPS - directory of the index.
+	 * @returns {Promise<{ metagames: Object.<string, Object.<string, {}[]>>, array: string[], gametypes: Object.<string, string[]>, errors: string[] }>}
+	 */
+	async #readIndex(PATH_GROUPS) {
+		const metagamesObject = {};
+		const metagamesArray = [];
+		const gametypes = {};
 		const errors = [];
 
 		// TODO: read these in parallel
 
 		// We'll assume 1 subdir max, as does the extension partially
-		const PATH_GROUPS = path.join(__dirname, "metagames");
 		const GROUPS_DIRENT = await fs.promises.readdir(PATH_GROUPS, { withFileTypes: true })
 		const GROUPS = GROUPS_DIRENT.filter((x) => x.isDirectory()).map((x) => x.name);
 		for(const group of GROUPS) {
-			this.#metagamesObject[group] = {};
+			metagamesObject[group] = {};
 			const PATH_METAS = path.join(PATH_GROUPS, group);
 			const METAS = await fs.promises.readdir(PATH_METAS);
 			for(const meta of METAS) {
@@ -423,17 +940,17 @@ module.exports = class {
 				const text = await fs.promises.readFile(PATH_TEXT, { encoding: "utf-8" });
 
 				// Can have 2 props added: meta, deps
-				this.#metagamesObject[group][meta] = { text };
+				metagamesObject[group][meta] = { text };
 
-				this.#metagamesArray.push(`${group}/${meta}`);
+				metagamesArray.push(`${group}/${meta}`);
 			}
 		}
 
 		const parentFind = /parent:\s*(.+?)\s*(?:;|$)/m;
 
-		for(const group in this.#metagamesObject) {
-			for(const meta in this.#metagamesObject[group]) {
-				const self = this.#metagamesObject[group][meta];
+		for(const group in metagamesObject) {
+			for(const meta in metagamesObject[group]) {
+				const self = metagamesObject[group][meta];
 				const parentName = parentFind.exec(self.text)?.[1];
 
 				// This metagame has no parent; parse right away.
@@ -445,14 +962,14 @@ module.exports = class {
 
 				// This metagame has a parent, check that it exists.
 				const [pGroup, pName] = parentName.split("/");
-				if(!this.#metagamesObject[pGroup]?.[pName]?.text) {
+				if(!metagamesObject[pGroup]?.[pName]?.text) {
 					errors.push("");
 					continue;
 				}
-				const parent = this.#metagamesObject[pGroup][pName];
+				const parent = metagamesObject[pGroup][pName];
 
 				// This metagame's parent has already been parsed; parse right away.
-				if(this.#metagamesObject[pGroup][pName].meta) {
+				if(metagamesObject[pGroup][pName].meta) {
 					self.meta = this.parseMeta(self.text, group, parent.meta);
 					if(self.deps) self.deps.forEach((f) => f(self.meta));
 					continue;
@@ -461,26 +978,26 @@ module.exports = class {
 				// This metagame's parent has not been parsed yet. Give the parent a callback to parse this metagame when that is done.
 				if(!parent.deps) parent.deps = [];
 				parent.deps.push((ref) => {
-					self.meta = parseMeta(self.text, group, ref);
+					self.meta = this.parseMeta(self.text, group, ref);
 					if(self.deps) self.deps.forEach((f) => f(self.meta));
 				});
 			}
 		}
 
-		for(const group in this.#metagamesObject) {
-			for(const meta in this.#metagamesObject[group]) {
-				if(!this.#metagamesObject[group][meta].meta) {
+		for(const group in metagamesObject) {
+			for(const meta in metagamesObject[group]) {
+				if(!metagamesObject[group][meta].meta) {
 					errors.push("???");
-					delete this.#metagamesObject[group][meta];
+					delete metagamesObject[group][meta];
 					continue;
 				}
 
-				/* for(const entry of this.#metagamesObject[group][meta].meta) {
+				/* for(const entry of metagamesObject[group][meta].meta) {
 					if(entry.header) continue;
 					entry.value = toID(entry.value);
 				} */
 
-				this.#metagamesObject[group][meta] = this.#metagamesObject[group][meta].meta;
+				metagamesObject[group][meta] = metagamesObject[group][meta].meta;
 			}
 		}
 
@@ -490,17 +1007,11 @@ module.exports = class {
 		const TEXT_GAMETYPES = await fs.promises.readFile(PATH_GAMETYPES, { encoding: "utf-8" });
 		for(const line of TEXT_GAMETYPES.split("\n").filter((x) => x)) {
 			const [ gametype, formats ] = line.split(":");
-			this.#gametypes[gametype] ??= [];
-			this.#gametypes[gametype].push(...formats.split(","));
+			gametypes[gametype] ??= [];
+			gametypes[gametype].push(...formats.split(","));
 		}
 
-		const PATH_BATTLEFACTORY = path.join(PATH_GROUPS, "factory-sets.json");
-		const JSON_BATTLEFACTORY = require(PATH_BATTLEFACTORY);
-		for(const format in JSON_BATTLEFACTORY) {
-			this.#metagamesBF.push(format);
-		}
-
-		return errors;
+		return { metagames: metagamesObject, array: metagamesArray, gametypes, errors };
 	}
 
 	/**
@@ -676,6 +1187,8 @@ module.exports = class {
 
 	// Check battle, fill if missing props, then start.
 	generateBattle(battle) {
+		if(!this.#psbots) throw new Error("Factory battles are disabled.");
+
 		// Currently we can not create non-specific invites, so only proceed if provided usernames.
 		// {side1:{usernames:["demirab1"]},side2:{usernames:["comeheavysleep"]}}
 		if(!(battle?.side1?.usernames?.length > 0) || !(battle?.side2?.usernames?.length > 0)) {
@@ -687,14 +1200,257 @@ module.exports = class {
 		const [ group, name ] = battle.format.split("/");
 		const ref = this.#metagamesObject?.[group]?.[name]?.[0];
 
-		battle.chalcode ??= ref?.code?.slice(10) ?? "gen9nationaldex35pokes @@@ +nduber, +ndag, +ndou, +nduubl, +nduu, +ndrubl, +ndru, +ndnfe, +ndlc";
+		if(!battle.chalcode) {
+			const { code } = this.toChallengeCode(battle.format);
+			// Metagames with many move bans can get too long for PS; their own "code:" line is shorter, if less complete.
+			battle.chalcode = code?.length <= MAX_CHALLENGE_CODE_LENGTH
+			? code
+			: ref?.code?.replace(/^\/challenge\s+/i, "") || battle.fallbackCode || FACTORY_FALLBACK_CODE;
+		}
 
 		battle.message ??= `35 Factory Format: ${ref?.name ?? "idk"}`;
 
 		battle.side1.team ??= this.generateTeam(battle.format, true);
 		battle.side2.team ??= this.generateTeam(battle.format, true);
 
-		return this.#psbots.battle(battle);
+		return this.#track(battle, this.#psbots.battle(battle));
+	}
+
+	/**
+	 * Records a battle in players.db from its start until its result, so it doesn't vanish when the process stops.
+	 * @param {Object} battle - as given to generateBattle; battle.context is stored along, for whoever resumes it.
+	 * @param {ReturnType<import("./PSBots.js")["battle"]>} started
+	 * @returns {ReturnType<import("./PSBots.js")["battle"]>} - started, unchanged.
+	 */
+	#track(battle, started) {
+		/** @type {BattleJob} */
+		const job = this.stmt.INSERT_BATTLE.get({
+			format: battle.format,
+			player1: battle.side1.usernames[0],
+			player2: battle.side2.usernames[0],
+			context: battle.context ? JSON.stringify(battle.context) : null,
+			created: Math.floor(Date.now() / 1000),
+		});
+		battle.job = job.id;
+
+		started.then(({ room, result }) => {
+			this.stmt.UPDATE_BATTLE_ROOM.run({ id: job.id, room, updated: Math.floor(Date.now() / 1000) });
+			this.#settle(job.id, result);
+		}, (err) => this.#abandon(job.id, err));
+
+		return started;
+	}
+
+	/**
+	 * @param {number} id - of the battle job.
+	 * @param {Promise<import("./PSBots.js").BattleResult>} result
+	 */
+	#settle(id, result) {
+		result.then((res) => {
+			this.stmt.UPDATE_BATTLE_STATE.run({
+				id,
+				state: "finished",
+				outcome: res.outcome,
+				winner: res.winner,
+				replay: res.replay,
+				error: null,
+				updated: Math.floor(Date.now() / 1000),
+			});
+		}, (err) => this.#abandon(id, err));
+	}
+
+	/**
+	 * @param {number} id - of the battle job.
+	 * @param {any} err - why the battle can't be followed anymore.
+	 */
+	#abandon(id, err) {
+		this.stmt.UPDATE_BATTLE_STATE.run({
+			id,
+			state: "abandoned",
+			outcome: null,
+			winner: null,
+			replay: null,
+			error: err?.reason ?? err?.message ?? String(err),
+			updated: Math.floor(Date.now() / 1000),
+		});
+	}
+
+	/**
+	 * Picks up the battles that were pending when the process stopped, so their results aren't lost.
+	 * Battles that never got a room are abandoned; the others are followed again by the bots, and abandoned if their room is gone.
+	 * Call this once after init.
+	 * @returns {{ job: BattleJob, battle: Object, started: ReturnType<import("./PSBots.js")["battle"]> }[]} - every pending battle, abandoned ones with a rejected start.
+	 */
+	resumeBattles() {
+		return this.stmt.SELECT_PENDING_BATTLES.all().map((job) => {
+			const battle = {
+				format: job.format,
+				context: job.context ? JSON.parse(job.context) : null,
+				job: job.id,
+				side1: { usernames: [job.player1], confirmed: job.player1 },
+				side2: { usernames: [job.player2], confirmed: job.player2 },
+			};
+
+			let started;
+			if(!job.room) {
+				started = Promise.reject({ reason: "The bot stopped before the battle started." });
+			}
+			else if(!this.#psbots) {
+				started = Promise.reject({ reason: "Factory battles are disabled." });
+			}
+			else {
+				// Rooms are stored as battle URLs.
+				started = this.#psbots.resume(battle, new URL(job.room).pathname.slice(1));
+			}
+
+			started.then(({ result }) => this.#settle(job.id, result), (err) => this.#abandon(job.id, err));
+			return { job, battle, started };
+		});
+	}
+
+	/**
+	 * Plays a best-of-N series of factory battles between the same two players, one game after another, until one of them clinches it.
+	 * Games are scored from their winner; ties are replayed, and results that stand for no one end the series.
+	 * @param {Object} series
+	 * @param {string} series.player1 - PS username.
+	 * @param {string} series.player2 - PS username.
+	 * @param {number} series.bestOf - odd number of games.
+	 * @param {string} [series.format] - factory format; random if omitted.
+	 * @param {boolean} [series.rerollFormat] - pick a new random format every game.
+	 * @param {boolean} [series.rerollTeams] - generate new teams every game, instead of each player keeping theirs.
+	 * @param {boolean} [series.swap] - swap sides every game.
+	 * @param {number} [series.noshow] - see PSBots.battle.
+	 * @param {string} [series.fallbackCode] - challenge code for formats without one, see generateBattle.
+	 * @param {Object} [series.context] - stored with every game, see generateBattle; the game number is added.
+	 * @param {(game: SeriesGame) => void} [onGame] - called as each game is started, before its battle exists.
+	 * @returns {Promise<SeriesResult>}
+	 */
+	async generateSeries(series, onGame) {
+		if(!this.#psbots) throw new Error("Factory battles are disabled.");
+
+		const { player1, player2, bestOf } = series;
+		if(!player1 || !player2 || toID(player1) === toID(player2)) throw new Error("A series needs two different players.");
+		if(!Number.isInteger(bestOf) || bestOf < 1 || bestOf % 2 === 0) throw new Error("A series must have an odd number of games.");
+		if(series.format && !this.#metagamesBF.includes(series.format)) throw new Error(`Unknown factory format: ${series.format}`);
+
+		const clinch = Math.ceil(bestOf / 2);
+		/** @type {SeriesResult} */
+		const out = { score: [0, 0], winner: null, games: [] };
+		let format = series.format ?? this.getRandomBF();
+		let teams = [null, null];
+
+		// Ties don't count, but a series can't go on forever.
+		while(Math.max(...out.score) < clinch && out.games.length < bestOf * 2) {
+			const game = out.games.length + 1;
+			if(game > 1 && series.rerollFormat) format = this.getRandomBF();
+			if(game === 1 || series.rerollFormat || series.rerollTeams) {
+				teams = [this.generateTeam(format, true), this.generateTeam(format, true)];
+			}
+
+			// Players keep their team when they change sides.
+			const order = series.swap && game % 2 === 0 ? [1, 0] : [0, 1];
+			const names = [player1, player2];
+			const battle = {
+				format,
+				noshow: series.noshow,
+				fallbackCode: series.fallbackCode,
+				context: series.context && { ...series.context, game },
+				side1: { usernames: [names[order[0]]], team: teams[order[0]] },
+				side2: { usernames: [names[order[1]]], team: teams[order[1]] },
+			};
+
+			const started = Promise.resolve().then(() => this.generateBattle(battle));
+			onGame?.({ game, score: [...out.score], battle, started });
+
+			let res;
+			try {
+				const { result } = await started;
+				res = await result;
+			}
+			catch(err) {
+				// PSBots rejects with errors, strings or { reason }; the score so far goes along either way.
+				throw { reason: err?.reason ?? err?.message ?? `${err}`, series: out };
+			}
+			// The winner is either player, whichever side they were on.
+			const winner = res.winner ? names.findIndex((x) => toID(x) === toID(res.winner)) : -1;
+			out.games.push({ format, room: res.room, result: res, winner: winner < 0 ? null : winner });
+
+			if(res.outcome === "wrongplayer" || (res.outcome === "noshow" && winner < 0)) {
+				throw { reason: `Game ${game} does not count: ${res.outcome}`, series: out };
+			}
+			if(winner >= 0) out.score[winner]++;
+		}
+
+		const leader = out.score[0] === out.score[1] ? null : out.score[0] > out.score[1] ? 0 : 1;
+		out.winner = leader !== null && out.score[leader] >= clinch ? leader : null;
+		return out;
 	}
 
 };
+
+/**
+ * @typedef {Object} SeriesGame
+ * @property {number} game - starting at 1.
+ * @property {[number, number]} score - wins of player1 and player2 before this game.
+ * @property {Object} battle - as given to generateBattle.
+ * @property {ReturnType<import("./PSBots.js")["battle"]>} started - the output of generateBattle.
+ */
+
+/**
+ * @typedef {Object} SeriesResult
+ * @property {[number, number]} score - wins of player1 and player2.
+ * @property {0 | 1 | null} winner - index of the player who clinched the series, null if no one did.
+ * @property {{ format: string, room: string, result: import("./PSBots.js").BattleResult, winner: 0 | 1 | null }[]} games
+ */
+
+/**
+ * A battle started by generateBattle, as stored in players.db.
+ * @typedef {Object} BattleJob
+ * @property {number} id
+ * @property {string} format
+ * @property {string} player1 - PS username.
+ * @property {string} player2 - PS username.
+ * @property {string | null} context - JSON of battle.context.
+ * @property {"starting" | "running" | "finished" | "abandoned"} state
+ * @property {string | null} room - battle URL, once started.
+ * @property {import("./PSBots.js").BattleResult["outcome"] | null} outcome
+ * @property {string | null} winner
+ * @property {string | null} replay
+ * @property {string | null} error - why the battle was abandoned.
+ * @property {number} created - unix timestamp in seconds.
+ * @property {number} updated - unix timestamp in seconds.
+ */
+
+/**
+ * Finds the server profile selected in the config.
+ * @param {{ psServer?: string | Object, psServers?: Object.<string, Object> }} config - psServer is a profile name, or a profile itself.
+ * @returns {ServerProfile}
+ */
+function selectServer({ psServer = "main", psServers = {} }) {
+	const name = typeof psServer === "string" ? psServer : "custom";
+	const profile = typeof psServer === "string" ? { ...SERVERS, ...psServers }[psServer] : psServer;
+	if(!profile) throw new Error(`Unknown Showdown server profile: ${psServer}`);
+
+	for(const key of ["websocket", "login", "client"]) {
+		if(typeof profile[key] !== "string") throw new Error(`Showdown server profile ${name} is missing ${key}.`);
+	}
+
+	// Replays are usually served where the client is, on private servers.
+	const replayHost = profile.replayHost ?? profile.client;
+	return {
+		...profile,
+		name,
+		replayHost,
+		trustedHosts: profile.trustedHosts ?? [new URL(replayHost).hostname],
+	};
+}
+
+/**
+ * @typedef {Object} ServerProfile
+ * @property {string} name - as selected in the config.
+ * @property {string} websocket - SockJS endpoint of the server.
+ * @property {string} login - action.php of the login server.
+ * @property {string} client - where battle rooms are opened.
+ * @property {string} replayHost - where replays are served.
+ * @property {string[]} trustedHosts - host names replays are validated from.
+ */
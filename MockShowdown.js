@@ -0,0 +1,697 @@
+/**
+ * MockShowdown.js
+ *
+ * A stand-in for the Pokemon Showdown server, with just enough of it for PSBots to run offline.
+ * It speaks the same websocket framing (a["..."]) and challstr/assertion login, and handles the commands PSBots sends:
+ * trn, userdetails, utm, challenge, accept, acceptbattle, pm, join, leave, and in battle rooms timer, leavebattle, addplayer, forfeit and savereplay.
+ * Like on PS, /addplayer only invites; the invited user takes the slot with /acceptbattle.
+ *
+ * Battles are not simulated. A battle room gets the usual start of a log from the teams, and ends when a player forfeits or finish() is called.
+ * Saved replays are served as /<id>, /<id>.log and /<id>.json like on the replay server.
+ *
+ * Usage: npm run mock-showdown -- [port]
+ * On the default port, select it with "psServer": "local" in config.json. On another port, add the printed profile to "psServers".
+ */
+
+"use strict";
+const crypto = require("node:crypto");
+const http = require("node:http");
+const qs = require("querystring");
+const { Teams, toID } = require("./pokemon-showdown/dist/sim/index.js");
+
+// RFC 6455
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const OP_CONTINUATION = 0x0;
+const OP_TEXT = 0x1;
+const OP_CLOSE = 0x8;
+const OP_PING = 0x9;
+const OP_PONG = 0xa;
+
+const PATH_LOGIN = "/~~showdown/action.php";
+const PATH_WEBSOCKET = /^\/showdown\/[^/]+\/[^/]+\/websocket$/;
+
+/**
+ * @typedef {Object} Connection
+ * @property {import("node:net").Socket} socket
+ * @property {Buffer} buffer - received bytes that don't make a whole frame yet.
+ * @property {Buffer[]} fragments - payloads of an unfinished fragmented message.
+ * @property {string} challstr
+ * @property {{ id: string, name: string } | null} user - null until /trn succeeds.
+ * @property {string | null} team - packed team from /utm.
+ * @property {Set<string>} rooms
+ */
+
+/**
+ * @typedef {Object} Room
+ * @property {string} id - e.g. battle-gen9nationaldex35pokes-1
+ * @property {string} format
+ * @property {string} title
+ * @property {(string | null)[]} players - usernames of p1 and p2; null after /leavebattle.
+ * @property {(string | null)[]} invites - user ids invited to p1 and p2 with /addplayer.
+ * @property {string[]} log
+ * @property {Set<Connection>} conns
+ * @property {boolean} ended
+ */
+
+module.exports = class {
+
+	/** @type {http.Server} */
+	#server = null;
+
+	/** @type {{ websocket: string, login: string, client: string, replay: string } | null} */
+	#endpoints = null;
+	get endpoints() {
+		return this.#endpoints;
+	}
+
+	/** @type {Map<string, { name: string, pass: string }>} user id -> account */
+	#accounts = new Map();
+
+	// Without a fixed list of accounts, any name can log in and is registered with the first password used.
+	#openRegistration = true;
+
+	/** @type {Map<string, { id: string, challstr: string }>} assertion -> user */
+	#assertions = new Map();
+
+	/** @type {Set<Connection>} */
+	#conns = new Set();
+
+	/** @type {{ from: Connection, to: string, format: string, team: string | null }[]} */
+	#challenges = [];
+
+	/** @type {Map<string, Room>} */
+	#rooms = new Map();
+
+	/** @type {Map<string, { id: string, format: string, players: string[], log: string, uploadtime: number }>} */
+	#replays = new Map();
+
+	#battleCount = 0;
+
+	/**
+	 * @param {Object} [options]
+	 * @param {{ name: string, pass: string }[]} [options.accounts] - the only accounts that can log in, e.g. psAuth plus some players.
+	 */
+	constructor({ accounts } = {}) {
+		if(accounts) {
+			this.#openRegistration = false;
+			for(const { name, pass } of accounts) {
+				this.#accounts.set(toID(name), { name, pass });
+			}
+		}
+	}
+
+	/**
+	 * @param {number} [port] - 0 picks a free one.
+	 * @param {string} [host]
+	 * @returns {Promise<{ websocket: string, login: string, client: string, replayHost: string, trustedHosts: string[] }>} - a server profile, see MetagameHelper.
+	 */
+	listen(port = 0, host = "127.0.0.1") {
+		this.#server = http.createServer((req, res) => this.#onRequest(req, res));
+		this.#server.on("upgrade", (req, socket) => this.#onUpgrade(req, socket));
+
+		return new Promise((res, rej) => {
+			this.#server.once("error", rej);
+			this.#server.listen(port, host, () => {
+				const origin = `http://${host}:${this.#server.address().port}`;
+				this.#endpoints = {
+					websocket: `${origin.replace("http", "ws")}/showdown`,
+					login: `${origin}${PATH_LOGIN}`,
+					client: origin,
+					replayHost: origin,
+					trustedHosts: [host],
+				};
+				res(this.#endpoints);
+			});
+		});
+	}
+
+	close() {
+		for(const conn of this.#conns) {
+			conn.socket.destroy();
+		}
+		return new Promise((res) => this.#server.close(() => res()));
+	}
+
+	/**
+	 * Ends a battle, since nothing is simulated.
+	 * @param {string} roomid
+	 * @param {string} [winner] - username; a tie if omitted.
+	 */
+	finish(roomid, winner) {
+		const room = this.#rooms.get(roomid);
+		if(!room) throw new Error(`No such battle: ${roomid}`);
+		if(room.ended) throw new Error(`Battle already ended: ${roomid}`);
+		room.ended = true;
+		this.#broadcast(room, ["|", `|t:|${now()}`, winner ? `|win|${winner}` : "|tie"]);
+	}
+
+	/**
+	 * Cuts off every connection of a user, like a network outage would.
+	 * @param {string} name
+	 */
+	disconnect(name) {
+		for(const conn of this.#conns) {
+			if(conn.user?.id === toID(name)) conn.socket.destroy();
+		}
+	}
+
+	/**
+	 * @returns {{ id: string, format: string, players: (string | null)[], ended: boolean }[]}
+	 */
+	battles() {
+		return Array.from(this.#rooms.values())
+		.map(({ id, format, players, ended }) => ({ id, format, players: [...players], ended }));
+	}
+
+	// HTTP
+
+	#onRequest(req, res) {
+		const url = new URL(req.url, "http://localhost");
+
+		if(url.pathname === PATH_LOGIN && req.method === "POST") {
+			let body = "";
+			req.setEncoding("utf-8");
+			req.on("data", (chunk) => body += chunk);
+			req.on("end", () => {
+				res.writeHead(200, { "Content-Type": "text/plain; charset=utf-8" });
+				res.end(`]${JSON.stringify(this.#action(qs.parse(body)))}`);
+			});
+			return;
+		}
+
+		const replay = /^\/([a-z0-9-]+?)(\.log|\.json)?$/.exec(url.pathname);
+		const data = replay && this.#replays.get(replay[1]);
+		if(!data) {
+			res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+			res.end("Not found");
+			return;
+		}
+		if(replay[2] === ".json") {
+			res.writeHead(200, { "Content-Type": "application/json; charset=utf-8" });
+			res.end(JSON.stringify(data));
+			return;
+		}
+		res.writeHead(200, { "Content-Type": "text/plain; charset=utf-8" });
+		res.end(data.log);
+	}
+
+	/**
+	 * The login server's action.php; only logging in is supported.
+	 * @param {Object.<string, string>} params
+	 */
+	#action({ act, name, pass, challstr }) {
+		const failure = (reason) => ({ actionsuccess: false, assertion: `;;${reason}`, curuser: { loggedin: false } });
+
+		if(act !== "login") return failure(`Unsupported action: ${act}`);
+		const id = toID(name);
+		if(!id || !challstr) return failure("Missing name or challstr.");
+
+		let account = this.#accounts.get(id);
+		if(!account && this.#openRegistration) {
+			account = { name, pass };
+			this.#accounts.set(id, account);
+		}
+		if(!account || account.pass !== pass) return failure("Wrong password.");
+
+		const assertion = `${id},${crypto.randomBytes(16).toString("hex")}`;
+		this.#assertions.set(assertion, { id, challstr });
+		return { actionsuccess: true, assertion, curuser: { loggedin: true, username: account.name, userid: id } };
+	}
+
+	// WEBSOCKET
+
+	#onUpgrade(req, socket) {
+		const key = req.headers["sec-websocket-key"];
+		if(
+			!PATH_WEBSOCKET.test(new URL(req.url, "http://localhost").pathname)
+			|| req.headers.upgrade?.toLowerCase() !== "websocket"
+			|| !key
+		) {
+			socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+			return;
+		}
+
+		const accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+		socket.write([
+			"HTTP/1.1 101 Switching Protocols",
+			"Upgrade: websocket",
+			"Connection: Upgrade",
+			`Sec-WebSocket-Accept: ${accept}`,
+			"",
+			"",
+		].join("\r\n"));
+
+		/** @type {Connection} */
+		const conn = {
+			socket,
+			buffer: Buffer.alloc(0),
+			fragments: [],
+			challstr: `4|${crypto.randomBytes(64).toString("hex")}`,
+			user: null,
+			team: null,
+			rooms: new Set(),
+		};
+		this.#conns.add(conn);
+
+		socket.on("data", (chunk) => this.#onData(conn, chunk));
+		socket.on("close", () => this.#onClose(conn));
+		socket.on("error", () => socket.destroy());
+
+		// SockJS open frame, then the login challenge.
+		socket.write(encodeFrame(OP_TEXT, Buffer.from("o")));
+		this.#send(conn, `|challstr|${conn.challstr}`);
+	}
+
+	#onData(conn, chunk) {
+		const { frames, rest } = decodeFrames(Buffer.concat([conn.buffer, chunk]));
+		conn.buffer = rest;
+
+		for(const { fin, opcode, payload } of frames) {
+			switch(opcode) {
+				case OP_CLOSE: {
+					conn.socket.end(encodeFrame(OP_CLOSE, payload.subarray(0, 2)));
+					return;
+				}
+				case OP_PING: {
+					conn.socket.write(encodeFrame(OP_PONG, payload));
+					break;
+				}
+				case OP_TEXT:
+				case OP_CONTINUATION: {
+					conn.fragments.push(payload);
+					if(!fin) break;
+					const text = Buffer.concat(conn.fragments).toString("utf-8");
+					conn.fragments = [];
+					this.#onMessage(conn, text);
+					break;
+				}
+			}
+		}
+	}
+
+	#onClose(conn) {
+		this.#conns.delete(conn);
+		this.#challenges = this.#challenges.filter((x) => x.from !== conn);
+		for(const roomid of conn.rooms) {
+			const room = this.#rooms.get(roomid);
+			room.conns.delete(conn);
+			if(conn.user) this.#broadcast(room, [`|l|☆${conn.user.name}`]);
+		}
+	}
+
+	/**
+	 * @param {Connection} conn
+	 * @param {string} text - a JSON array of "room|message" strings.
+	 */
+	#onMessage(conn, text) {
+		let messages;
+		try { messages = JSON.parse(text); }
+		catch { return; }
+		if(!Array.isArray(messages)) messages = [messages];
+
+		for(const message of messages) {
+			const i = String(message).indexOf("|");
+			if(i < 0) continue;
+			this.#onCommand(conn, message.slice(0, i), message.slice(i + 1).replace(/^\/noreply /, ""));
+		}
+	}
+
+	/**
+	 * @param {Connection} conn
+	 * @param {string} roomid - empty for global commands.
+	 * @param {string} text
+	 */
+	#onCommand(conn, roomid, text) {
+		const room = this.#rooms.get(roomid);
+		if(roomid && !room) {
+			this.#send(conn, `>${roomid}\n|noinit|nonexistent|The room "${roomid}" does not exist.`);
+			return;
+		}
+
+		if(!text.startsWith("/") || text.startsWith("//")) {
+			if(!room || !conn.user) return;
+			this.#broadcast(room, [`|c|☆${conn.user.name}|${text}`]);
+			return;
+		}
+
+		const space = text.indexOf(" ");
+		const cmd = toID(space < 0 ? text : text.slice(0, space));
+		const target = space < 0 ? "" : text.slice(space + 1).trim();
+
+		if(cmd === "trn") {
+			// Assertions have commas of their own.
+			const [ name, , ...rest ] = target.split(",");
+			const assertion = rest.join(",");
+			const user = this.#assertions.get(assertion);
+			this.#assertions.delete(assertion);
+			if(!user || user.id !== toID(name) || user.challstr !== conn.challstr) {
+				this.#send(conn, "|popup|Your login could not be verified.");
+				return;
+			}
+			conn.user = { id: user.id, name: this.#accounts.get(user.id).name };
+			this.#send(conn, `|updateuser| ${conn.user.name}|1|1|{}`);
+			return;
+		}
+
+		if(cmd === "cmd") {
+			const [ query, ...args ] = target.split(" ");
+			if(query === "userdetails") {
+				this.#send(conn, `|queryresponse|userdetails|${JSON.stringify(this.#userdetails(args.join(" ")))}`);
+			}
+			return;
+		}
+
+		if(!conn.user) {
+			this.#send(conn, "|popup|You must be logged in to do that.");
+			return;
+		}
+
+		switch(cmd) {
+			case "utm": {
+				conn.team = target === "null" ? null : target;
+				return;
+			}
+			case "challenge": {
+				const [ to, format ] = splitFirst(target);
+				if(!this.#findConn(to)) {
+					this.#send(conn, `|popup|The user '${to}' was not found.`);
+					return;
+				}
+				if(this.#challenges.some((x) => x.from.user.id === conn.user.id)) {
+					this.#send(conn, "|popup|You are already challenging someone. Cancel that challenge before challenging someone else.");
+					return;
+				}
+				this.#challenges.push({ from: conn, to: toID(to), format, team: conn.team });
+				this.#pm(conn.user.name, this.#findConn(to).user.name, `/challenge ${format}`);
+				return;
+			}
+			case "accept":
+			case "reject": {
+				const i = this.#challenges.findIndex((x) => x.to === conn.user.id && x.from.user.id === toID(target));
+				if(i < 0) {
+					this.#send(conn, `|popup|${target} is not challenging you.`);
+					return;
+				}
+				const [ challenge ] = this.#challenges.splice(i, 1);
+				if(cmd === "accept") this.#startBattle(challenge, conn);
+				return;
+			}
+			case "acceptbattle": {
+				// The inviter given as the target is not needed to find the invite. Newer invites come first.
+				const room = Array.from(this.#rooms.values()).findLast((x) => !x.ended && x.invites.includes(conn.user.id));
+				if(!room) {
+					this.#send(conn, "|popup|You haven't been invited to that battle.");
+					return;
+				}
+				const i = room.invites.indexOf(conn.user.id);
+				room.invites[i] = null;
+				room.players[i] = conn.user.name;
+				this.#broadcast(room, [`|player|p${i + 1}|${conn.user.name}|1|`]);
+				for(const x of this.#conns) {
+					if(x.user?.id === conn.user.id && !room.conns.has(x)) this.#join(x, room);
+				}
+				return;
+			}
+			case "pm":
+			case "msg":
+			case "w": {
+				const [ to, message ] = splitFirst(target);
+				const recipient = this.#findConn(to);
+				if(!recipient) {
+					this.#send(conn, `|pm| ${conn.user.name}| ${to}|/error User ${to} not found.`);
+					return;
+				}
+				this.#pm(conn.user.name, recipient.user.name, message);
+				return;
+			}
+			case "join": {
+				const joined = this.#rooms.get(target);
+				if(!joined) this.#send(conn, `>${target}\n|noinit|nonexistent|The room "${target}" does not exist.`);
+				else this.#join(conn, joined);
+				return;
+			}
+			case "leave": {
+				const left = this.#rooms.get(target || roomid);
+				if(left?.conns.delete(conn)) {
+					conn.rooms.delete(left.id);
+					this.#send(conn, `>${left.id}\n|deinit`);
+					this.#broadcast(left, [`|l|☆${conn.user.name}`]);
+				}
+				return;
+			}
+		}
+
+		if(!room) {
+			this.#send(conn, `|popup|The command "/${cmd}" does not exist.`);
+			return;
+		}
+
+		const slot = room.players.findIndex((x) => x && toID(x) === conn.user.id);
+		switch(cmd) {
+			case "timer": {
+				if(toID(target) === "on") {
+					this.#broadcast(room, [`|inactive|Battle timer is ON: inactive players will automatically lose when time's up. (requested by ${conn.user.name})`]);
+				}
+				return;
+			}
+			case "leavebattle": {
+				if(slot < 0) return;
+				room.players[slot] = null;
+				this.#broadcast(room, [`|player|p${slot + 1}|`]);
+				return;
+			}
+			case "addplayer": {
+				const [ name, side ] = splitFirst(target);
+				const i = ["p1", "p2"].indexOf(toID(side));
+				const player = this.#findConn(name);
+				if(i < 0 || room.players[i] || room.invites[i]) {
+					this.#send(conn, `>${room.id}\n|error|Invalid player slot: ${side}`);
+					return;
+				}
+				if(!player) {
+					this.#send(conn, `>${room.id}\n|error|User ${name} not found.`);
+					return;
+				}
+				room.invites[i] = player.user.id;
+				this.#pm(conn.user.name, player.user.name, `/text You're invited to join a battle: /acceptbattle ${conn.user.id}`);
+				return;
+			}
+			case "forfeit": {
+				if(slot < 0 || room.ended) return;
+				this.#broadcast(room, [`|-message|${conn.user.name} forfeited.`]);
+				this.finish(room.id, room.players[1 - slot] ?? undefined);
+				return;
+			}
+			case "savereplay": {
+				const id = room.id.replace(/^battle-/, "");
+				this.#replays.set(id, {
+					id,
+					format: room.format,
+					players: room.players.filter((x) => x),
+					log: room.log.join("\n"),
+					uploadtime: now(),
+				});
+				const url = `${this.#endpoints.replayHost}/${id}`;
+				this.#send(conn, `|popup||html|<p>Your replay has been uploaded! It's available at:</p><p> <a class="no-panel-intercept" href="${url}" target="_blank">${url}</a>`);
+				return;
+			}
+		}
+
+		this.#send(conn, `>${room.id}\n|error|The command "/${cmd}" does not exist.`);
+	}
+
+	/**
+	 * @param {{ from: Connection, format: string, team: string | null }} challenge
+	 * @param {Connection} accepter
+	 */
+	#startBattle(challenge, accepter) {
+		const format = toID(challenge.format.split("@@@")[0]);
+		const players = [challenge.from.user.name, accepter.user.name];
+		const teams = [challenge.team, accepter.team].map((x) => (x && Teams.unpack(x)) || []);
+
+		/** @type {Room} */
+		const room = {
+			id: `battle-${format}-${++this.#battleCount}`,
+			format,
+			title: `${players[0]} vs. ${players[1]}`,
+			players,
+			invites: [null, null],
+			log: [],
+			conns: new Set(),
+			ended: false,
+		};
+		this.#rooms.set(room.id, room);
+
+		this.#join(challenge.from, room);
+		this.#join(accepter, room);
+
+		this.#broadcast(room, [
+			`|t:|${now()}`,
+			"|gametype|" + (format.includes("doubles") ? "doubles" : "singles"),
+			...players.map((x, i) => `|player|p${i + 1}|${x}|1|`),
+			...teams.map((x, i) => `|teamsize|p${i + 1}|${x.length}`),
+			`|gen|${/^gen(\d+)/.exec(format)?.[1] ?? 9}`,
+			`|tier|${format}`,
+			"|",
+			...teams.flatMap((x, i) => x.map((set) => `|poke|p${i + 1}|${set.species}, L${set.level || 100}|`)),
+			"|teampreview",
+		]);
+	}
+
+	/**
+	 * @param {Connection} conn
+	 * @param {Room} room
+	 */
+	#join(conn, room) {
+		room.conns.add(conn);
+		conn.rooms.add(room.id);
+		this.#send(conn, [`>${room.id}`, "|init|battle", `|title|${room.title}`, ...room.log].join("\n"));
+		this.#broadcast(room, [`|j|☆${conn.user.name}`]);
+	}
+
+	/**
+	 * Like on PS, unknown users look the same as offline ones.
+	 * @param {string} name
+	 * @returns {{ id: string, userid: string, name: string, avatar?: number, group?: string, rooms: Object.<string, {}> | false }}
+	 */
+	#userdetails(name) {
+		const id = toID(name);
+		const conn = this.#findConn(id);
+		const account = this.#accounts.get(id);
+		if(!conn && !account) return { id, userid: id, name, rooms: false };
+
+		let rooms = false;
+		if(conn) {
+			rooms = {};
+			for(const x of this.#conns) {
+				if(x.user?.id !== id) continue;
+				for(const roomid of x.rooms) rooms[roomid] = {};
+			}
+		}
+		return { id, userid: id, name: conn?.user.name ?? account.name, avatar: 1, group: " ", rooms };
+	}
+
+	/**
+	 * @param {string} name
+	 * @returns {Connection | undefined} - any logged in connection of the user.
+	 */
+	#findConn(name) {
+		const id = toID(name);
+		for(const conn of this.#conns) {
+			if(conn.user?.id === id) return conn;
+		}
+	}
+
+	#pm(from, to, message) {
+		const line = `|pm| ${from}| ${to}|${message}`;
+		for(const conn of this.#conns) {
+			if(conn.user?.id === toID(from) || conn.user?.id === toID(to)) this.#send(conn, line);
+		}
+	}
+
+	/**
+	 * Adds lines to the room's log and sends them to everyone in it.
+	 * @param {Room} room
+	 * @param {string[]} lines
+	 */
+	#broadcast(room, lines) {
+		room.log.push(...lines);
+		for(const conn of room.conns) {
+			this.#send(conn, [`>${room.id}`, ...lines].join("\n"));
+		}
+	}
+
+	#send(conn, message) {
+		if(conn.socket.writable) conn.socket.write(encodeFrame(OP_TEXT, Buffer.from(`a${JSON.stringify([message])}`)));
+	}
+
+};
+
+/**
+ * Server frames are never masked.
+ * @param {number} opcode
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload) {
+	let header;
+	if(payload.length < 126) {
+		header = Buffer.from([0x80 | opcode, payload.length]);
+	}
+	else if(payload.length < 65536) {
+		header = Buffer.alloc(4);
+		header[1] = 126;
+		header.writeUInt16BE(payload.length, 2);
+	}
+	else {
+		header = Buffer.alloc(10);
+		header[1] = 127;
+		header.writeBigUInt64BE(BigInt(payload.length), 2);
+	}
+	header[0] = 0x80 | opcode;
+	return Buffer.concat([header, payload]);
+}
+
+/**
+ * Takes every complete frame off the front of the buffer, unmasking client frames.
+ * @param {Buffer} buffer
+ * @returns {{ frames: { fin: boolean, opcode: number, payload: Buffer }[], rest: Buffer }}
+ */
+function decodeFrames(buffer) {
+	const frames = [];
+	while(buffer.length >= 2) {
+		const fin = Boolean(buffer[0] & 0x80);
+		const opcode = buffer[0] & 0x0f;
+		const masked = Boolean(buffer[1] & 0x80);
+		let length = buffer[1] & 0x7f;
+		let offset = 2;
+
+		if(length === 126) {
+			if(buffer.length < 4) break;
+			length = buffer.readUInt16BE(2);
+			offset = 4;
+		}
+		else if(length === 127) {
+			if(buffer.length < 10) break;
+			length = Number(buffer.readBigUInt64BE(2));
+			offset = 10;
+		}
+
+		const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+		if(masked) offset += 4;
+		if(buffer.length < offset + length) break;
+
+		const payload = Buffer.from(buffer.subarray(offset, offset + length));
+		if(mask) {
+			for(let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+		}
+
+		frames.push({ fin, opcode, payload });
+		buffer = buffer.subarray(offset + length);
+	}
+	return { frames, rest: buffer };
+}
+
+/**
+ * "a, b, c" -> ["a", "b, c"]
+ * @param {string} text
+ * @returns {[string, string]}
+ */
+function splitFirst(text) {
+	const i = text.indexOf(",");
+	if(i < 0) return [text.trim(), ""];
+	return [text.slice(0, i).trim(), text.slice(i + 1).trim()];
+}
+
+function now() {
+	return Math.floor(Date.now() / 1000);
+}
+
+if(require.main === module) {
+	const server = new module.exports();
+	server.listen(Number(process.argv[2]) || 8000)
+	.then((endpoints) => {
+		console.log("Mock Showdown is listening. Server profile for \"psServers\" in config.json:");
+		console.log(JSON.stringify(endpoints, null, "\t"));
+	});
+}
@@ -5,22 +5,52 @@
  * They can start battles with provided teams and invite specified players in their place.
  * The end result is a matchmaking system outside of PS, for formats to be played on PS.
  * 
+ * Every pair of bots (1st and 2nd, 3rd and 4th, ...) can host any number of battles at once.
+ * Bots that lose their connection log in again by themselves, and rejoin the battles they were waiting in.
+ * 
+ * Connection events: "disconnect" { bot, code, reason }, "reconnecting" { bot, attempt, delay }, "reconnect" { bot, attempt, rooms }
+ * Battle events, see BattleEvents below: "challenge", "players", "log", "turn", "join", "leave", "timer", "forfeit", "win", "tie", "replay"
+ * 
  * @author demi
  */
 
 "use strict";
+const EventEmitter = require("node:events");
 const qs = require('querystring');
 
 const E_CLOSE = "close";
 const E_ERROR = "error";
 const E_MESSAGE = "message";
 const E_OPEN = "open";
+// Relay events, on top of E_MESSAGE: ">room" for the lines of each room, ">" for global lines, and E_ANYROOM for all of them.
+const E_ROOM = ">";
+const E_ANYROOM = "room";
+
+// Seconds for invited players to join their battle, unless the battle says otherwise.
+const NOSHOW_WINDOW = 5 * 60;
+
+// Seconds between reconnection attempts; doubles after every failure, up to the maximum.
+const RECONNECT_MIN = 1;
+const RECONNECT_MAX = 5 * 60;
+
+// What Pokemon Showdown allows in usernames. Names are pasted into commands, where a comma would end the name early.
+const USERNAME = /^[A-Za-z0-9 ._-]{1,18}$/;
+
+// The official server. MockShowdown.js can stand in for it offline.
+const SERVER = {
+	websocket: "wss://sim3.psim.us/showdown",
+	login: "https://play.pokemonshowdown.com/~~showdown/action.php",
+	client: "https://play.pokemonshowdown.com",
+};
 
-module.exports = class {
+module.exports = class extends EventEmitter {
 
-	/** @type {{ name: string, pass: string, ws: WebSocket }[]} */
+	/** @type {PSBot[]} */
 	bots = null;
 
+	/** @type {{ websocket: string, login: string, client: string }} */
+	server = null;
+
 	/** @type {AbortController} */
 	#abort = null;
 
@@ -28,7 +58,18 @@ module.exports = class {
 		return this.#abort.signal;
 	}
 
-	constructor(auth) {
+	/** @type {Map<string, PSBot>} battle room -> the bot waiting for its end there; rejoined after reconnecting. */
+	#rooms = new Map();
+
+	/** @type {BotPair[]} consecutive bots: 0 and 1, 2 and 3, ... */
+	#pairs = [];
+
+	/**
+	 * @param {{ name: string, pass: string }[]} auth - bot accounts.
+	 * @param {{ websocket?: string, login?: string, client?: string }} [server] - endpoints, if not the official server; a server profile of MetagameHelper fits.
+	 */
+	constructor(auth, server) {
+		super();
 		if(
 			!Array.isArray(auth)
 			|| auth.length === 0
@@ -38,16 +79,29 @@ module.exports = class {
 		}
 
 		this.bots = auth;
+		this.server = { ...SERVER, ...server };
+		for(const bot of this.bots) {
+			// Messages from every websocket the bot goes through end up here, so waiting survives reconnecting.
+			bot.relay = new EventTarget();
+			bot.ready = false;
+			bot.retry = null;
+			bot.queries = [];
+			bot.relay.addEventListener(E_ROOM, (event) => answerQueries(bot, event.data));
+		}
+		for(let i = 0; i + 1 < this.bots.length; i += 2) {
+			this.#pairs.push({ bots: [this.bots[i], this.bots[i + 1]], lock: Promise.resolve(), battles: 0 });
+		}
 	}
 
 	shutdown(reason) {
 		if(this.bots.some((x) => !x.ws) || this.#abort.signal.aborted) {
 			throw new Error("Shutdown attempted while not connected.");
 		}
-		for(const { ws } of this.bots) {
-			ws.close();
-		}
 		this.#abort.abort(reason);
+		for(const bot of this.bots) {
+			clearTimeout(bot.retry);
+			bot.ws.close();
+		}
 	}
 
 	connect() {
@@ -56,55 +110,131 @@ module.exports = class {
 		catch {}
 
 		this.#abort = new AbortController();
-		const connections = [];
-		for(const bot of this.bots) {
-			bot.ws = new WebSocket(this.getEntry());
-			bot.ws.bot = bot;
-			bot.ws.class = this;
-			bot.ws.addEventListener(E_ERROR, L_ERROR, { signal: this.signal });
-			bot.ws.addEventListener(E_CLOSE, L_CLOSE, { once: true });
-			connections.push(awaitws(bot.ws, 30, (msgraw) => {
+		return Promise.all(this.bots.map((bot) => this.#login(bot)))
+		.then(() => "=== ALL CONNECTED ===")
+		.catch((err) => {
+			try { this.shutdown(); }
+			catch {}
+			throw err;
+		});
+	}
+
+	/**
+	 * Opens a new websocket for the bot and logs in with the challstr it gets.
+	 * @param {PSBot} bot
+	 * @returns {Promise<void>} - resolves once PS confirms the name; rejects if the websocket closes first.
+	 */
+	#login(bot) {
+		const ws = new WebSocket(this.getEntry());
+		bot.ws = ws;
+		ws.bot = bot;
+		ws.class = this;
+		ws.addEventListener(E_MESSAGE, L_RELAY, { signal: this.signal });
+		ws.addEventListener(E_ERROR, L_ERROR, { signal: this.signal });
+		ws.addEventListener(E_CLOSE, (event) => this.#onClose(bot, ws, event), { once: true });
+
+		// Failed connections only get an error event.
+		const closed = new Promise((res, rej) => {
+			for(const type of [E_ERROR, E_CLOSE]) {
+				ws.addEventListener(type, () => rej(new Error(`Connection closed: ${bot.name}`)), { once: true });
+			}
+		});
+
+		const login = awaitws(bot, 30, (msgraw) => {
+			const msg = msgraw.slice(3, -2);
+
+			const data = msg.split("|");
+			if(data[1] !== "challstr") return;
+			return true;
+		})
+		.then((msgraw) => fetch(this.server.login, {
+			method: 'POST',
+			headers: { "Content-Type": "application/x-www-form-urlencoded; encoding=UTF-8" },
+			body: qs.stringify({
+				act: "login",
+				name: bot.name,
+				pass: bot.pass,
+				challstr: msgraw.slice(13,-2)
+			})
+		}))
+		.then((res) => {
+			if(!res.ok) throw new Error(`Could not connect ${bot.name}.`);
+			return res.text();
+		})
+		.then((res) => JSON.parse(res.slice(1)))
+		.then((res) => {
+			if(
+				!res.actionsuccess
+				|| !res.curuser.loggedin
+				|| res.assertion.startsWith(";;")
+			) {
+				throw new Error(`Could not login ${bot.name}: ${res.assertion}`);
+			}
+
+			ws.addEventListener("message", L_IDLE, { signal: this.signal });
+
+			ws.send(this.msgToRaw(`|/trn ${bot.name},0,${res.assertion}`));
+
+			// Awaiting the name change.
+			return awaitws(bot, 30, (msgraw) => {
 				const msg = msgraw.slice(3, -2);
 
 				const data = msg.split("|");
-				if(data[1] !== "challstr") return;
+				if(data[1] !== "updateuser" || toID(data[2]) !== toID(bot.name) || data[3] !== "1") return;
 				return true;
-			})
-			.then((msgraw) => fetch("https://play.pokemonshowdown.com/~~showdown/action.php", {
-				method: 'POST',
-				headers: { "Content-Type": "application/x-www-form-urlencoded; encoding=UTF-8" },
-				body: qs.stringify({
-					act: "login",
-					name: bot.name,
-					pass: bot.pass,
-					challstr: msgraw.slice(13,-2)
-				})
-			}))
-			.then((res) => {
-				if(!res.ok) throw new Error(`Could not connect ${bot.name}.`);
-				return res.text();
-			})
-			.then((res) => JSON.parse(res.slice(1)))
-			.then((res) => {
-				if(
-					!res.actionsuccess
-					|| !res.curuser.loggedin
-					|| res.assertion.startsWith(";;")
-				) {
-					throw new Error(`Could not login ${bot.name}: ${res.assertion}`);
-				}
+			});
+		})
+		.then(() => {
+			bot.ready = true;
+		});
+
+		return Promise.race([login, closed]);
+	}
+
+	/**
+	 * Anything but a shutdown is an outage: reconnect, then rejoin the battles the bot was waiting in.
+	 * @param {PSBot} bot
+	 * @param {WebSocket} ws - the websocket that closed.
+	 * @param {CloseEvent} event
+	 */
+	#onClose(bot, ws, event) {
+		console.log(`=== SHUTDOWN ${bot.name} ===`);
+
+		// Failed logins are retried by #reconnect itself.
+		if(this.signal.aborted || ws !== bot.ws || !bot.ready) return;
+		bot.ready = false;
 
-				bot.ws.addEventListener("message", L_IDLE, { signal: this.signal });
+		this.emit("disconnect", { bot: bot.name, code: event.code, reason: event.reason });
+		this.#reconnect(bot, 1);
+	}
 
-				bot.ws.send(`["|/trn ${bot.name},0,${res.assertion}"]`);
+	/**
+	 * Tries to log the bot in again, waiting twice as long after every failure.
+	 * @param {PSBot} bot
+	 * @param {number} attempt - starting from 1.
+	 */
+	#reconnect(bot, attempt) {
+		const delay = Math.min(RECONNECT_MIN * 2 ** (attempt - 1), RECONNECT_MAX);
+		this.emit("reconnecting", { bot: bot.name, attempt, delay });
+
+		bot.retry = setTimeout(() => {
+			this.#login(bot)
+			.then(() => {
+				const rooms = [];
+				for(const [ room, waiting ] of this.#rooms) {
+					if(waiting !== bot) continue;
+					rooms.push(room);
+					bot.ws.send(this.msgToRaw(`|/join ${room}`));
+				}
+				this.emit("reconnect", { bot: bot.name, attempt, rooms });
 			})
 			.catch((err) => {
-				this.shutdown();
-				throw err;
-			}));
-		}
-		return Promise.all(connections)
-		.then(() => "=== ALL CONNECTED ===");
+				if(this.signal.aborted) return;
+				console.error(err);
+				bot.ws.close();
+				this.#reconnect(bot, attempt + 1);
+			});
+		}, delay * 1000);
 	}
 
 	/**
@@ -115,6 +245,7 @@ module.exports = class {
 	}
 	
 	// USE PACKED TEAMS
+	// battle.noshow: optional seconds for the players to join, see NOSHOW_WINDOW.
 	battle(battle) {
 		// Input type checks.
 		if(
@@ -131,152 +262,416 @@ module.exports = class {
 			|| typeof battle.side2.team !== "string"
 			|| !Array.isArray(battle.side2.usernames)
 			|| battle.side2.confirmed
+
+			|| (battle.noshow !== undefined && typeof battle.noshow !== "number")
 		) {
 			throw new Error("Invalid data in argument.");
 		}
-
-		// Requesting player info for sanity checks.
-		for(const user of battle.side1.usernames) {
-			const msgraw = this.msgToRaw(`|/cmd userdetails ${user}`);
-			this.bots[0].ws.send(msgraw);
-		}
-		for(const user of battle.side2.usernames) {
-			const msgraw = this.msgToRaw(`|/cmd userdetails ${user}`);
-			this.bots[0].ws.send(msgraw);
+		// Every line is a command of its own to PS.
+		if(/[\r\n]/.test(battle.message) || /[\r\n]/.test(battle.chalcode)) {
+			throw new Error("Battle messages and challenge codes must be a single line.");
 		}
+		const invalid = [...battle.side1.usernames, ...battle.side2.usernames].find((x) => !this.constructor.isUsername(x));
+		if(invalid !== undefined) throw new Error(`Invalid username: ${invalid}`);
 
-		// Awaiting player info.
-		return awaitws(this.bots[0].ws, 30, (msgraw) => {
-			const msg = msgraw.slice(3, -2);
-
-			const data = msg.split("|");
-			if(data[1] !== "queryresponse" || data[2] !== "userdetails") return;
-
-			//console.log(`${this.bot.name}: this log should not appear more than once in a row.`);
+		const pair = this.#leastBusy();
+		if(!pair) {
+			return Promise.reject({ reason: this.#pairs.length ? "The bots are not connected." : "Factory battles need at least 2 bots." });
+		}
+		const [ bot0, bot1 ] = pair.bots;
+		pair.battles++;
 
-			const details = JSON.parse(data[3].replaceAll("\\", ""));
+		// Requesting player info for sanity checks.
+		const sides = [battle.side1, battle.side2];
+		const started = Promise.all(sides.map((side) => Promise.all(side.usernames.map((user) => this.userdetails(user, bot0)))))
+		.then((details) => {
+			for(const [ i, side ] of sides.entries()) {
+				const offline = details[i].find((x) => !x.rooms);
+				if(offline) throw { reason: `User is offline: ${offline.name}` };
+				side.confirmed = details[i][0]?.name;
+				if(!side.confirmed) throw { reason: "Missing battle data." };
+			}
 
-			if(!details) return "Unregistered username in queue.";
+			// Only one challenge can be pending between the same bots.
+			return this.#withLock(pair, () => this.#challenge(pair, battle));
+		})
+		.then((room) => {
+			// Battle on-start actions.
+			const msgraw0 = this.msgToRaw(`${room}|${battle.message}`);
+			const msgraw1 = this.msgToRaw(`${room}|/timer on`);
+			const msgraw2 = this.msgToRaw(`${room}|/leavebattle`);
+			const msgraw3 = this.msgToRaw(`${room}|/addplayer ${battle.side1.confirmed}, p1`);
+			const msgraw4 = this.msgToRaw(`${room}|/addplayer ${battle.side2.confirmed}, p2`);
+			const msgraw5 = this.msgToRaw(`|/noreply /leave ${room}`);
+
+			bot0.ws.send(msgraw0);
+			bot0.ws.send(msgraw1);
+			bot1.ws.send(msgraw1);
+			bot0.ws.send(msgraw2);
+			bot1.ws.send(msgraw2);
+			bot0.ws.send(msgraw3);
+			bot1.ws.send(msgraw4);
+			bot1.ws.send(msgraw5);
+
+			return this.#follow(pair, battle, room);
+		});
 
-			let foundUser = battle.side1.usernames.find((x) => x === details.name);
-			let foundSide;
+		started.catch(() => pair.battles--);
+		return started;
+	}
 
-			if(foundUser) {
-				foundSide = battle.side1;
-			}
-			else {
-				foundUser = battle.side2.usernames.find((x) => x === details.name);
-				if(foundUser) {
-					foundSide = battle.side2;
-				}
-			}
+	/**
+	 * Follows a battle that was started before a restart, by joining its room again.
+	 * If the battle ended in the meantime, the result is read from its log.
+	 * @param {Object} battle - with format and confirmed players, like after battle().
+	 * @param {string} room - battle room id.
+	 * @returns {Promise<{ room: string, replay: Promise<string>, result: Promise<BattleResult> }>}
+	 */
+	resume(battle, room) {
+		const pair = this.#leastBusy();
+		if(!pair) {
+			return Promise.reject({ reason: this.#pairs.length ? "The bots are not connected." : "Factory battles need at least 2 bots." });
+		}
+		pair.battles++;
 
-			if(!foundUser) return;
+		const followed = this.#follow(pair, battle, room);
+		pair.bots[0].ws.send(this.msgToRaw(`|/join ${room}`));
+		return Promise.resolve(followed);
+	}
 
-			if(!details.rooms) return `User is offline: ${details.name}`;
+	/**
+	 * @returns {BotPair | undefined} - the least busy pair that is online.
+	 */
+	#leastBusy() {
+		return this.#pairs
+		.filter((x) => x.bots.every((bot) => bot.ready))
+		.sort((a, b) => a.battles - b.battles)[0];
+	}
 
-			foundSide.confirmed = foundUser;
+	/**
+	 * Bot 0 of the pair watches the battle from the room until the end, then saves the replay.
+	 * @param {BotPair} pair - with this battle counted.
+	 * @param {Object} battle - with confirmed players.
+	 * @param {string} room
+	 * @returns {{ room: string, replay: Promise<string>, result: Promise<BattleResult> }}
+	 */
+	#follow(pair, battle, room) {
+		const [ bot0 ] = pair.bots;
+		const msgraw5 = this.msgToRaw(`|/noreply /leave ${room}`);
+
+		// Bot 0 stays in the room as a spectator until the end, for the events.
+		// If it reconnects before the end, it joins again and gets the whole log.
+		this.#rooms.set(room, bot0);
+
+		const url = `${this.server.client}/${room}`;
+		const outcome = this.#watch(battle, room, bot0)
+		.finally(() => {
+			this.#rooms.delete(room);
+			pair.battles--;
+		});
 
-			if(!battle.side1.confirmed || !battle.side2.confirmed) return;
+		const replay = outcome
+		.then((result) => {
+			// The battle goes on without them, so there is nothing to save yet.
+			if(result.outcome === "noshow") {
+				bot0.ws.send(msgraw5);
+				throw { reason: `No-show: ${result.noshows.join(", ")}` };
+			}
 
-			return true;
+			const msgraw0 = this.msgToRaw(`${room}|/savereplay`);
+			bot0.ws.send(msgraw0);
+			// Replay ids are battle room ids without the "battle-" prefix.
+			const id = room.replace(/^battle-/, "");
+			return awaitws(bot0, 60, (lines) => {
+				return lines.some((x) => x.startsWith("|popup||html|<p>Your replay has been uploaded!") && x.includes(`/${id}"`));
+			}, E_ROOM);
 		})
-		.then(() => {
-			// Sending challenge.
-			const msgraw0 = this.msgToRaw(`|/utm ${battle.side1.team}`);
-			const msgraw1 = this.msgToRaw(`|/utm ${battle.side2.team}`);
-			this.bots[0].ws.send(msgraw0);
-			this.bots[1].ws.send(msgraw1);
+		.then((lines) => {
+			bot0.ws.send(msgraw5);
+			const url = lines.map((x) => /href="(.+?)"/.exec(x)?.[1]).find((x) => x) ?? "this should not have happened";
+			this.emit("replay", { battle, room, url });
+			return url;
+		});
 
-			const msgraw2 = this.msgToRaw(`|/challenge ${this.bots[1].name}, ${battle.chalcode}`);
-			this.bots[0].ws.send(msgraw2);
+		// The outcome is known even if the replay could not be saved.
+		const result = outcome
+		.then((result) => replay.then(
+			(link) => ({ ...result, room: url, replay: link }),
+			() => ({ ...result, room: url, replay: null }),
+		));
+		// Callers may only follow one of them, e.g. when the room is gone on resume.
+		replay.catch(() => {});
+		result.catch(() => {});
+
+		// Return the battle URL and promises for the corresponding replay and result.
+		return {
+			room: url,
+			replay,
+			result,
+		};
+	}
 
-			// Awaiting challenge.
-			return awaitws(this.bots[1].ws, 30, (msgraw) => {
-				const msg = msgraw.slice(3, -2);
+	/**
+	 * Bot 0 challenges bot 1 with the teams of the battle, and bot 1 accepts.
+	 * @param {BotPair} pair
+	 * @param {Object} battle - as given to battle().
+	 * @returns {Promise<string>} - the id of the new battle room.
+	 */
+	#challenge({ bots: [ bot0, bot1 ] }, battle) {
+		// Sending challenge.
+		const msgraw0 = this.msgToRaw(`|/utm ${battle.side1.team}`);
+		const msgraw1 = this.msgToRaw(`|/utm ${battle.side2.team}`);
+		bot0.ws.send(msgraw0);
+		bot1.ws.send(msgraw1);
+
+		const msgraw2 = this.msgToRaw(`|/challenge ${bot1.name}, ${battle.chalcode}`);
+		bot0.ws.send(msgraw2);
+		this.emit("challenge", { battle, room: null, from: bot0.name, to: bot1.name });
+
+		// Awaiting challenge.
+		return awaitws(bot1, 30, (lines) => {
+			return lines.some((line) => {
+				const data = line.split("|");
+				return data[1] === "pm"
+				&& data[2].slice(1) === bot0.name
+				&& data[3].slice(1) === bot1.name
+				&& data[4].startsWith("/challenge ");
+			});
+		}, E_ROOM)
+		.then(() => {
+			// Accepting challenge
+			const msgraw0 = this.msgToRaw(`|/accept ${bot0.name}`);
+			bot1.ws.send(msgraw0);
 
-				const data = msg.split("|");
+			// Awaiting battle room. Rejoined rooms get an init too, but those are known already.
+			let room = null;
+			return awaitws(bot0, 30, (data) => {
 				if(
-					data[1] !== "pm"
-					|| data[2].slice(1) !== this.bots[0].name
-					|| data[3].slice(1) !== this.bots[1].name
-					|| !data[4].startsWith("/challenge ")
+					!data.room.startsWith("battle-")
+					|| this.#rooms.has(data.room)
+					|| data.lines[0] !== "|init|battle"
+					|| !data.lines.includes(`|title|${bot0.name} vs. ${bot1.name}`)
 				) {
 					return;
 				}
-
+				room = data.room;
 				return true;
+			}, E_ANYROOM)
+			.then(() => room);
+		});
+	}
+
+	/**
+	 * Follows a battle room and emits the events of the battle, until it ends or a player doesn't show up in time.
+	 * The players in the room are compared with the confirmed ones; the replay has the same players as the room.
+	 * @param {Object} battle - as given to battle(), with confirmed players.
+	 * @param {string} room
+	 * @param {PSBot} bot - one that stays in the room.
+	 * @returns {Promise<Omit<BattleResult, "room" | "replay">>}
+	 */
+	#watch(battle, room, bot) {
+		const confirmed = [battle.side1.confirmed, battle.side2.confirmed];
+		const sideOf = (user) => {
+			const i = confirmed.findIndex((x) => toID(x) === toID(user));
+			return i < 0 ? null : `p${i + 1}`;
+		};
+
+		/** @type {{ p1: string | null, p2: string | null }} */
+		const players = { p1: null, p2: null };
+		// Sides whose confirmed player took their slot, by accepting the invite from /addplayer.
+		const seated = new Set();
+		let turn = 0;
+		let forfeit = null;
+		let announced = false;
+
+		return new Promise((res, rej) => {
+			const ctrl = new AbortController();
+			const settle = (outcome, winner) => {
+				ctrl.abort();
+				const side = winner ? sideOf(winner) : null;
+				const wrongPlayers = ["p1", "p2"]
+				.filter((x, i) => players[x] && toID(players[x]) !== toID(confirmed[i]))
+				.map((x) => ({ side: x, expected: confirmed[x === "p1" ? 0 : 1], actual: players[x] }));
+				const noshows = confirmed.filter((x, i) => !seated.has(`p${i + 1}`));
+
+				if(outcome === "noshow") {
+					const present = confirmed.find((x) => !noshows.includes(x)) ?? null;
+					res({ outcome, winner: present, side: present && sideOf(present), players, noshows, wrongPlayers, forfeit, turn });
+					return;
+				}
+				// Anyone could have played in place of the confirmed players, so the result stands for no one.
+				if(wrongPlayers.length) {
+					res({ outcome: "wrongplayer", winner: null, side: null, players, noshows, wrongPlayers, forfeit, turn });
+					return;
+				}
+				res({ outcome: forfeit && outcome === "win" ? "forfeit" : outcome, winner: side ? confirmed[side === "p1" ? 0 : 1] : null, side, players, noshows, wrongPlayers, forfeit, turn });
+			};
+
+			const noshow = setTimeout(() => settle("noshow"), (battle.noshow ?? NOSHOW_WINDOW) * 1000);
+			const timeout = setTimeout(() => {
+				ctrl.abort();
+				rej("Timed out (battle).");
+			}, 60 * 60 * 1000);
+			ctrl.signal.addEventListener("abort", () => {
+				clearTimeout(noshow);
+				clearTimeout(timeout);
 			});
-		})
-		.then(() => {
-			// Accepting challenge
-			const msgraw0 = this.msgToRaw(`|/accept ${this.bots[0].name}`);
-			this.bots[1].ws.send(msgraw0);
 
-			// Awaiting battle room.
-			return awaitws(this.bots[0].ws, 30, (msgraw) => {
-				const msg = msgraw.slice(3, -2);
-				const [ room, data_ ] = msg.split("\\n");
+			bot.relay.addEventListener(`${E_ROOM}${room}`, ({ data: lines }) => {
+				if(lines[0]?.startsWith("|noinit|")) {
+					ctrl.abort();
+					rej({ reason: `The battle room is gone: ${room}` });
+					return;
+				}
 
-				if(!data_) return;
+				// Rejoining after a reconnect gets the whole log again, where only the state is of use.
+				const backlog = lines[0] === "|init|battle";
+				if(!backlog) this.emit("log", { battle, room, lines });
+
+				for(const line of lines) {
+					const [ , type, ...args ] = line.split("|");
+					switch(type) {
+						case "player": {
+							const side = args[0];
+							if(!(side in players)) break;
+							// Bots leave the player slots before the players are added.
+							players[side] = args[1] || null;
+							if(sideOf(players[side]) === side) seated.add(side);
+							if(!announced && seated.size === 2) {
+								announced = true;
+								this.emit("players", { battle, room, p1: players.p1, p2: players.p2 });
+							}
+							break;
+						}
+						case "turn": {
+							if(Number(args[0]) <= turn) break;
+							turn = Number(args[0]);
+							this.emit("turn", { battle, room, turn });
+							break;
+						}
+						case "j":
+						case "J":
+						case "l":
+						case "L": {
+							// Names start with a rank symbol, which is a space for regular users.
+							if(backlog) break;
+							const user = args[0].slice(1);
+							this.emit(toID(type) === "j" ? "join" : "leave", { battle, room, user, side: sideOf(user) });
+							break;
+						}
+						case "inactive": {
+							if(!backlog) this.emit("timer", { battle, room, message: args.join("|") });
+							break;
+						}
+						case "-message": {
+							const user = /^(.+) forfeited\.$/.exec(args[0] ?? "")?.[1];
+							if(!user || forfeit) break;
+							// Turn 0 is team preview.
+							forfeit = { user, side: sideOf(user), preview: turn === 0 };
+							this.emit("forfeit", { battle, room, ...forfeit });
+							break;
+						}
+						case "win": {
+							this.emit("win", { battle, room, winner: args[0], side: sideOf(args[0]) });
+							settle("win", args[0]);
+							return;
+						}
+						case "tie": {
+							this.emit("tie", { battle, room });
+							settle("tie");
+							return;
+						}
+					}
+				}
 
-				const data = data_.split("|");
+				if(seated.size === 2) clearTimeout(noshow);
+			}, { signal: ctrl.signal });
+		});
+	}
 
-				if(data[1] !== "init" || data[2] !== "battle") return;
+	/**
+	 * Runs the callback once every earlier one of the same pair has settled.
+	 * @template T
+	 * @param {BotPair} pair
+	 * @param {() => Promise<T>} fn
+	 * @returns {Promise<T>}
+	 */
+	#withLock(pair, fn) {
+		const run = pair.lock.then(fn);
+		pair.lock = run.catch(() => {});
+		return run;
+	}
 
-				return true;
-			});
-		})
-		.then((msgraw) => {
-			// Battle on-start actions.
-			const msg = msgraw.slice(3, -2);
-			const [ room, data_ ] = msg.split("\\n");
-
-			const msgraw0 = this.msgToRaw(`${room.slice(1)}|${battle.message}`);
-			const msgraw1 = this.msgToRaw(`${room.slice(1)}|/timer on`);
-			const msgraw2 = this.msgToRaw(`${room.slice(1)}|/leavebattle`);
-			const msgraw3 = this.msgToRaw(`${room.slice(1)}|/addplayer ${battle.side1.confirmed}, p1`);
-			const msgraw4 = this.msgToRaw(`${room.slice(1)}|/addplayer ${battle.side2.confirmed}, p2`);
-			const msgraw5 = this.msgToRaw(`|/noreply /leave ${room.slice(1)}`);
-
-			this.bots[0].ws.send(msgraw0);
-			this.bots[0].ws.send(msgraw1);
-			this.bots[1].ws.send(msgraw1);
-			this.bots[0].ws.send(msgraw2);
-			this.bots[1].ws.send(msgraw2);
-			this.bots[0].ws.send(msgraw3);
-			this.bots[1].ws.send(msgraw4);
-			this.bots[1].ws.send(msgraw5);
-
-			
-			// Return the battle URL and a promise for the corresponding replay.
-			return {
-				room: `https://play.pokemonshowdown.com/${room.slice(1)}`,
-				replay: awaitws(this.bots[0].ws, 60 * 60, (msgraw) => {
-					// Awaiting battle end.
-					const msg = msgraw.slice(3, -2);
-					const data = msg.split("\\n").pop()?.split("|")?.[1];
-					if(data !== "win") return;
-					return true;
-				})
-				.then(() => {
-					const msgraw0 = this.msgToRaw(`${room.slice(1)}|/savereplay`);
-					this.bots[0].ws.send(msgraw0);
-					return awaitws(this.bots[0].ws, 60, (msgraw) => {
-						const msg = msgraw.slice(3, -2);
-						const test = new RegExp(`^|popup||html|<p>Your replay has been uploaded!.+?${room.slice(1)}`);
-						if(!test.test(msg)) return;
-						return true;
-					});
-				})
-				.then((msgraw) => {
-					this.bots[0].ws.send(msgraw5);
-					return /href="(.+?)"/.exec(msgraw)?.[1] ?? "this should not have happened";
-				})
+	/**
+	 * Looks up a user on Pokemon Showdown.
+	 * @param {string} user - PS username.
+	 * @param {PSBot} [bot] - who asks; responses are matched to requests by user id.
+	 * @returns {Promise<{ id: string, name: string, rooms: Object | false }>} - rooms is false if the user is offline or unregistered.
+	 */
+	userdetails(user, bot = this.bots[0]) {
+		return new Promise((res, rej) => {
+			if(!this.constructor.isUsername(user)) return rej({ reason: `Invalid username: ${user}` });
+			const timeout = setTimeout(() => {
+				const i = bot.queries.indexOf(query);
+				if(i < 0) return;
+				bot.queries.splice(i, 1);
+				rej("Timed out (userdetails).");
+			}, 30 * 1000);
+			// Answered queries don't keep the process alive until the timeout.
+			const query = {
+				id: toID(user),
+				res: (details) => {
+					clearTimeout(timeout);
+					res(details);
+				},
+				rej: (err) => {
+					clearTimeout(timeout);
+					rej(err);
+				},
 			};
+			bot.queries.push(query);
+
+			const msgraw = this.msgToRaw(`|/cmd userdetails ${user}`);
+			bot.ws.send(msgraw);
 		});
 	}
 
+	/**
+	 * Sends a private message from the first bot to an online user.
+	 * @param {string} user - PS username.
+	 * @param {string} message - a single line.
+	 * @returns {Promise<void>}
+	 */
+	pm(user, message) {
+		if(/[\r\n]/.test(message)) return Promise.reject({ reason: "Private messages must be a single line." });
+		return this.userdetails(user)
+		.then((details) => {
+			if(!details.rooms) throw { reason: `User is offline: ${details.name}` };
+
+			const msgraw = this.msgToRaw(`|/pm ${user}, ${message}`);
+			this.bots[0].ws.send(msgraw);
+
+			// Awaiting our own message to be echoed back.
+			return awaitws(this.bots[0], 30, (lines) => {
+				for(const line of lines) {
+					const data = line.split("|");
+					if(
+						data[1] !== "pm"
+						|| toID(data[2]) !== toID(this.bots[0].name)
+						|| toID(data[3]) !== toID(user)
+					) {
+						continue;
+					}
+
+					if(data[4]?.startsWith("/error")) return data[4].slice(7);
+
+					return true;
+				}
+			}, E_ROOM);
+		})
+		.then(() => {});
+	}
+
 	getEntry() {
 		const chars = "abcdefghijklmnopqrstuvwxyz0123456789_";
 
@@ -288,12 +683,24 @@ module.exports = class {
 
 		const r2 = Math.floor(Math.random() * 900) + 100;
 
-		return `wss://sim3.psim.us/showdown/${r1}/${r2}/websocket`;
+		return `${this.server.websocket}/${r1}/${r2}/websocket`;
 	}
 
+	/**
+	 * @param {string} msg - e.g. "room|/command"
+	 * @returns {string} - a SockJS frame with the message.
+	 */
 	msgToRaw(msg) {
 		if(typeof msg !== "string") throw new Error("Message must be a string.");
-		return `["${msg ?? ""}"]`;
+		return JSON.stringify([msg]);
+	}
+
+	/**
+	 * @param {string} name
+	 * @returns {boolean} - whether it could be a PS username.
+	 */
+	static isUsername(name) {
+		return typeof name === "string" && USERNAME.test(name) && /[A-Za-z0-9]/.test(name);
 	}
 
 	test() {
@@ -303,7 +710,12 @@ module.exports = class {
 };
 
 /**
- * Sets up a unique event listener on the websocket and applies incoming messages on the predicate. The listener is removed after this is settled.
+ * Sets up a unique event listener on the bot's relay and applies incoming messages on the predicate. The listener is removed after this is settled.
+ * 
+ * Predicate input, by event type:
+ * E_MESSAGE => msgraw
+ * ">room", E_ROOM => lines of a message in the room, or of a global message
+ * E_ANYROOM => { room, lines }
  * 
  * Predicate return values:
  * true => resolve with msgraw
@@ -313,19 +725,20 @@ module.exports = class {
  * Usage:
  * Send ws commands -> await this -> check for reason in output -> repeat.
  * 
- * @param {WebSocket} ws - Don't confuse which bots websocket you're using.
- * @param {(msgraw: string) => boolean | any} predicate - Settle condition.
+ * @param {PSBot} bot - Don't confuse which bot you're using.
  * @param {number} timer - reject after this amount of time in seconds.
- * @returns {Promise<string>}
+ * @param {(data: any) => boolean | any} predicate - Settle condition.
+ * @param {string} [type] - relay event type.
+ * @returns {Promise<any>} - the data that settled it.
  */
-function awaitws(ws, timer, predicate) {
+function awaitws(bot, timer, predicate, type = E_MESSAGE) {
 	// Notes:
 	// EventTarget can only have one event listener per function.
 	// EventTarget event listeners get a message for their arguments and nothing else.
 	// Bound functions can't remove their associated event listeners.
 	return new Promise((res, rej) => {
 		const ctrl = new AbortController();
-		ws.addEventListener(E_MESSAGE, (msgraw) => {
+		bot.relay.addEventListener(type, (msgraw) => {
 			const reason = predicate(msgraw.data);
 			if(reason === true) {
 				res(msgraw.data);
@@ -338,22 +751,117 @@ function awaitws(ws, timer, predicate) {
 				return;
 			}
 		}, { signal: ctrl.signal });
-		setTimeout(() => {
+		const timeout = setTimeout(() => {
 			rej("Timed out (awaitws).");
 			ctrl.abort();
 		}, timer * 1000);
+		ctrl.signal.addEventListener("abort", () => clearTimeout(timeout));
 	});
 }
 
+/**
+ * @typedef {Object} PSBot
+ * @property {string} name
+ * @property {string} pass
+ * @property {WebSocket} ws - the current websocket; replaced when reconnecting.
+ * @property {EventTarget} relay - dispatches the messages of every websocket the bot has had.
+ * @property {boolean} ready - logged in, and not disconnected since.
+ * @property {NodeJS.Timeout | null} retry - the next reconnection attempt.
+ * @property {{ id: string, res: Function, rej: Function }[]} queries - pending userdetails requests, oldest first.
+ */
+
+/**
+ * Payloads of battle events. battle is the object given to battle(), and room is the battle room id.
+ * side is "p1", "p2" or null for anyone but the players.
+ * @typedef {Object} BattleEvents
+ * @property {{ battle: Object, room: null, from: string, to: string }} challenge - bot 0 challenged bot 1; there is no room yet.
+ * @property {{ battle: Object, room: string, p1: string, p2: string }} players - both players were added.
+ * @property {{ battle: Object, room: string, lines: string[] }} log - a message in the room, except the whole log sent again after rejoining.
+ * @property {{ battle: Object, room: string, turn: number }} turn
+ * @property {{ battle: Object, room: string, user: string, side: string | null }} join
+ * @property {{ battle: Object, room: string, user: string, side: string | null }} leave
+ * @property {{ battle: Object, room: string, message: string }} timer - the timer was turned on, or someone is running out of time.
+ * @property {{ battle: Object, room: string, user: string, side: string | null, preview: boolean }} forfeit - preview is true at team preview.
+ * @property {{ battle: Object, room: string, winner: string, side: string | null }} win
+ * @property {{ battle: Object, room: string }} tie
+ * @property {{ battle: Object, room: string, url: string }} replay - the replay was saved.
+ */
+
+/**
+ * How a battle hosted by the bots went, checked against the confirmed players.
+ * @typedef {Object} BattleResult
+ * @property {"win" | "forfeit" | "tie" | "noshow" | "wrongplayer"} outcome - wrongplayer means the result stands for no one.
+ * @property {string | null} winner - confirmed username; a no-show loses to a player who joined, a double no-show has no winner.
+ * @property {"p1" | "p2" | null} side - of the winner.
+ * @property {{ p1: string | null, p2: string | null }} players - who was in the player slots last.
+ * @property {string[]} noshows - confirmed players who never took their slot.
+ * @property {{ side: string, expected: string, actual: string }[]} wrongPlayers - slots taken by someone else than the confirmed player.
+ * @property {{ user: string, side: string | null, preview: boolean } | null} forfeit
+ * @property {number} turn - the last turn started; 0 is team preview.
+ * @property {string} room - battle URL.
+ * @property {string | null} replay - replay URL, if it was saved.
+ */
+
+/**
+ * @typedef {Object} BotPair
+ * @property {[PSBot, PSBot]} bots - bot 0 challenges, bot 1 accepts.
+ * @property {Promise<void>} lock - settles when the last challenge between them has.
+ * @property {number} battles - being set up or in progress.
+ */
+
+/**
+ * Settles pending userdetails requests of the bot with the responses among the lines.
+ * @param {PSBot} bot
+ * @param {string[]} lines - of a global message.
+ */
+function answerQueries(bot, lines) {
+	const prefix = "|queryresponse|userdetails|";
+	for(const line of lines) {
+		if(!line.startsWith(prefix)) continue;
+		const details = JSON.parse(line.slice(prefix.length));
+
+		// Some servers answer null for unregistered users, without saying who. Responses come in order though.
+		const i = details ? bot.queries.findIndex((x) => x.id === toID(details.userid ?? details.id)) : 0;
+		if(i < 0 || !bot.queries[i]) continue;
+		const [ query ] = bot.queries.splice(i, 1);
+
+		if(details) query.res(details);
+		else query.rej({ reason: `Unregistered username: ${query.id}` });
+	}
+}
+
+/**
+ * Same as toID in the Pokemon Showdown package.
+ * @param {string} text
+ * @returns {string}
+ */
+function toID(text) {
+	return String(text ?? "").toLowerCase().replace(/[^a-z0-9]+/g, "");
+}
+
 // Generic listener functions (`this` is WebSocket)
 
-function L_CLOSE() {
-	console.log(`=== SHUTDOWN ${this.bot.name} ===`);
+function L_RELAY(msgraw) {
+	const { relay } = this.bot;
+	relay.dispatchEvent(new MessageEvent(E_MESSAGE, { data: msgraw.data }));
+
+	// SockJS frames: "o" when opened, then a["...", ...] with one or more messages.
+	if(!msgraw.data.startsWith("a")) return;
+	let messages;
+	try { messages = JSON.parse(msgraw.data.slice(1)); }
+	catch { return; }
+
+	for(const message of messages) {
+		const lines = message.split("\n");
+		const room = lines[0].startsWith(">") ? lines.shift().slice(1) : "";
+		relay.dispatchEvent(new MessageEvent(E_ROOM + room, { data: lines }));
+		relay.dispatchEvent(new MessageEvent(E_ANYROOM, { data: { room, lines } }));
+	}
 }
 
+// Errors on open websockets are followed by a close event, which takes care of reconnecting.
 function L_ERROR(err) {
 	console.error(err);
-	this.class.shutdown();
 }
 
 function L_IDLE(msgraw) {
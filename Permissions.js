@@ -0,0 +1,82 @@
+/**
+ * Permissions.js
+ *
+ * Per-guild capabilities granted to Discord roles, stored in players.db.
+ * They only cover what belongs to the guild; what all guilds share is left to the bot owners in config.json.
+ * That is why /deploy and /refresh are not capabilities: the commands and the metagames index are the same in every guild,
+ * so a role granted in one guild would change them for all the others.
+ * Members with the Administrator permission have every capability, so a guild can always grant the first ones.
+ * Nothing here knows about Discord itself: callers pass the member's role ids and whether they are an administrator.
+ */
+
+"use strict";
+
+/** @type {Record<string, string>} capability -> what it allows. */
+const CAPABILITIES = {
+	tournaments: "Create and start tournaments",
+	results: "Override tournament results",
+	settings: "Edit server settings",
+};
+
+/**
+ * @typedef {Object} Permission
+ * @property {string} guild - Discord guild id.
+ * @property {string} role - Discord role id.
+ * @property {string} capability - one of CAPABILITIES.
+ */
+
+module.exports = class {
+
+	static CAPABILITIES = CAPABILITIES;
+
+	/** @type {import("./MetagameHelper.js")} */
+	#mh = null;
+
+	constructor(mh) {
+		this.#mh = mh;
+	}
+
+	/**
+	 * @param {string} guild - Discord guild id.
+	 * @param {string[]} roles - Discord role ids of the member.
+	 * @param {string} capability
+	 * @param {boolean} [administrator] - whether the member has the Administrator permission.
+	 * @returns {boolean}
+	 */
+	allowed(guild, roles, capability, administrator = false) {
+		if(!(capability in CAPABILITIES)) throw new Error(`Unknown capability: ${capability}`);
+		if(administrator) return true;
+		return this.list(guild).some((x) => x.capability === capability && roles.includes(x.role));
+	}
+
+	/**
+	 * @param {string} guild - Discord guild id.
+	 * @param {string} role - Discord role id.
+	 * @param {string} capability
+	 * @returns {boolean} - false if the role already had it.
+	 */
+	grant(guild, role, capability) {
+		if(!(capability in CAPABILITIES)) throw new Error(`Unknown capability: ${capability}`);
+		return Boolean(this.#mh.stmt.INSERT_PERMISSION.run({ guild, role, capability }).changes);
+	}
+
+	/**
+	 * @param {string} guild - Discord guild id.
+	 * @param {string} role - Discord role id.
+	 * @param {string} capability
+	 * @returns {boolean} - false if the role didn't have it.
+	 */
+	revoke(guild, role, capability) {
+		if(!(capability in CAPABILITIES)) throw new Error(`Unknown capability: ${capability}`);
+		return Boolean(this.#mh.stmt.DELETE_PERMISSION.run({ guild, role, capability }).changes);
+	}
+
+	/**
+	 * @param {string} guild - Discord guild id.
+	 * @returns {Permission[]} - capabilities that no longer exist are left out.
+	 */
+	list(guild) {
+		return this.#mh.stmt.SELECT_PERMISSIONS.all(guild).filter((x) => x.capability in CAPABILITIES);
+	}
+
+};
@@ -0,0 +1,314 @@
+/**
+ * Ratings.js
+ *
+ * Per-format Glicko-2 ratings for Pokemon Showdown players, stored in players.db.
+ * Every rated game is its own rating period, and every change is kept in the rating history.
+ * Players are identified by their PS user id, so renames that only change casing or symbols are harmless.
+ * The stored ratings are those of the current season (see Seasons.js); ratings of inactive players decay when read.
+ * Once a season has ended, no games are rated until the next one starts.
+ *
+ * Reference: http://www.glicko.net/glicko/glicko2.pdf
+ */
+
+"use strict";
+const { toID } = require("./pokemon-showdown/dist/sim/index.js");
+
+const DEFAULT_RATING = 1500;
+const DEFAULT_DEVIATION = 350;
+const DEFAULT_VOLATILITY = 0.06;
+
+const LEADERBOARD_SIZE = 20;
+
+// Inactivity decay is counted in whole weeks since the last rated game.
+const DECAY_PERIOD = 7 * 24 * 60 * 60;
+
+// Constrains the change in volatility over time; smaller values are more conservative.
+const TAU = 0.5;
+const CONVERGENCE = 0.000001;
+const SCALE = 173.7178;
+
+/**
+ * @typedef {Object} Rating
+ * @property {string} player - PS user id.
+ * @property {string} name - PS username as last seen.
+ * @property {string} format - unique meta name, like in MetagameHelper.validate.
+ * @property {number} rating
+ * @property {number} deviation
+ * @property {number} volatility
+ * @property {number} wins
+ * @property {number} losses
+ * @property {number} updated - unix timestamp in seconds.
+ */
+
+module.exports = class {
+
+	static DEFAULT_RATING = DEFAULT_RATING;
+	static DEFAULT_DEVIATION = DEFAULT_DEVIATION;
+
+	/** @type {import("./MetagameHelper.js")} */
+	#mh = null;
+
+	constructor(mh) {
+		this.#mh = mh;
+	}
+
+	/**
+	 * @param {string} name - PS username.
+	 * @param {string} format - unique meta name.
+	 * @returns {Rating} - a provisional rating if the player has never played this format.
+	 */
+	get(name, format) {
+		return this.#get(name, format, this.#current());
+	}
+
+	/**
+	 * @param {string} name - PS username.
+	 * @param {string} format - unique meta name.
+	 * @param {import("./Seasons.js").Season | null} season - the current season.
+	 * @returns {Rating}
+	 */
+	#get(name, format, season) {
+		const player = toID(name);
+		const rating = this.#mh.stmt.SELECT_RATING.get(player, format);
+		if(rating) return this.#decay(rating, season);
+		return {
+			player,
+			name,
+			format,
+			rating: DEFAULT_RATING,
+			deviation: DEFAULT_DEVIATION,
+			volatility: DEFAULT_VOLATILITY,
+			wins: 0,
+			losses: 0,
+			updated: 0,
+		};
+	}
+
+	/**
+	 * @param {string} name - PS username.
+	 * @returns {Rating[]} - one for every format the player has been rated in.
+	 */
+	list(name) {
+		const season = this.#current();
+		return this.#mh.stmt.SELECT_PLAYER_RATINGS.all(toID(name)).map((rating) => this.#decay(rating, season));
+	}
+
+	/**
+	 * @param {string} format - unique meta name.
+	 * @param {number} [limit]
+	 * @returns {Rating[]} - highest first.
+	 */
+	leaderboard(format, limit = LEADERBOARD_SIZE) {
+		// Decay can reorder the stored ratings.
+		const season = this.#current();
+		return this.#mh.stmt.SELECT_FORMAT_RATINGS.all(format)
+		.map((rating) => this.#decay(rating, season))
+		.sort((a, b) => b.rating - a.rating)
+		.slice(0, limit);
+	}
+
+	/**
+	 * @returns {import("./Seasons.js").Season | null}
+	 */
+	#current() {
+		return this.#mh.stmt.SELECT_CURRENT_SEASON.get() ?? null;
+	}
+
+	/**
+	 * The season new games count towards.
+	 * @returns {import("./Seasons.js").Season | null} - null if no season was ever started.
+	 * @throws {Error} - between seasons, since the game would count towards neither.
+	 */
+	#ratedSeason() {
+		const latest = this.#mh.stmt.SELECT_LATEST_SEASON.get();
+		if(latest?.ended) throw new Error(`${latest.name} has ended, and games are not rated until the next season starts.`);
+		return latest ?? null;
+	}
+
+	/**
+	 * Ratings above the default lose the decay of the current season for every whole week without a rated game,
+	 * but never fall below the default. Nothing is stored; the decayed rating is what the next game starts from.
+	 * @param {Rating} rating
+	 * @param {import("./Seasons.js").Season | null} season - the current season.
+	 * @param {number} [now] - unix timestamp in seconds.
+	 * @returns {Rating}
+	 */
+	#decay(rating, season, now = Math.floor(Date.now() / 1000)) {
+		const decay = season?.decay;
+		if(!decay || rating.rating <= DEFAULT_RATING) return rating;
+		const periods = Math.floor((now - rating.updated) / DECAY_PERIOD);
+		if(periods <= 0) return rating;
+		return { ...rating, rating: Math.max(DEFAULT_RATING, rating.rating - decay * periods) };
+	}
+
+	/**
+	 * Rates the result of a validated replay.
+	 * @param {string} replay - replay URL; each replay can only be rated once.
+	 * @param {string} format - unique meta name the replay was played in.
+	 * @param {Awaited<ReturnType<import("./MetagameHelper.js")["validate"]>>} out - output of MetagameHelper.validate.
+	 * @returns {{ before: Rating, after: Rating }[]} - winner first.
+	 */
+	rateReplay(replay, format, out) {
+		if(out.errors.length) throw new Error("Replays with errors can not be rated.");
+		if(out.battle.length !== 2) throw new Error("Only battles between two players can be rated.");
+		if(out.winner === -1) throw new Error("This replay has no winner.");
+		if(out.formats.get(format)?.length !== 0) throw new Error(`This replay is not a perfect match for ${format}.`);
+		if(this.#mh.stmt.SELECT_RATED_REPLAY.get(replay)) throw new Error("This replay has already been rated.");
+		const season = this.#ratedSeason();
+		if(season && out.timestamp && out.timestamp < season.started) throw new Error(`This replay was played before ${season.name} started.`);
+
+		const winnerName = out.battle[out.winner].player;
+		const loserName = out.battle[1 - out.winner].player;
+		return this.#rate(replay, format, winnerName, loserName, 1, out.timestamp ?? Math.floor(Date.now() / 1000), season);
+	}
+
+	/**
+	 * Rates the result of a battle hosted by the bots. No-shows lose to the player who joined, and ties count as half a win.
+	 * @param {import("./PSBots.js").BattleResult} result
+	 * @param {string} format - unique meta name the battle was played in.
+	 * @returns {{ before: Rating, after: Rating }[]} - winner first, or p1 first for a tie.
+	 */
+	rateResult(result, format) {
+		if(result.outcome === "wrongplayer") throw new Error("Someone other than the confirmed players played this battle.");
+		if(result.outcome === "noshow" && !result.winner) throw new Error("Neither player showed up.");
+
+		// The replay is the same key as for rateReplay, so the battle can't be rated again from it.
+		const key = result.replay ?? result.room;
+		if(this.#mh.stmt.SELECT_RATED_REPLAY.get(key)) throw new Error("This battle has already been rated.");
+		const season = this.#ratedSeason();
+
+		const { p1, p2 } = result.players;
+		const timestamp = Math.floor(Date.now() / 1000);
+		if(result.outcome === "tie") return this.#rate(key, format, p1, p2, 0.5, timestamp, season);
+
+		const noshow = result.noshows[0];
+		const loser = noshow ?? (result.side === "p1" ? p2 : p1);
+		return this.#rate(key, format, result.winner, loser, 1, timestamp, season);
+	}
+
+	/**
+	 * @param {string} replay - key of the game in the rating history.
+	 * @param {string} format
+	 * @param {string} aName - PS username.
+	 * @param {string} bName - PS username.
+	 * @param {number} score - of a against b.
+	 * @param {number} timestamp
+	 * @param {import("./Seasons.js").Season | null} season - the current season.
+	 * @returns {{ before: Rating, after: Rating }[]} - a first.
+	 */
+	#rate(replay, format, aName, bName, score, timestamp, season) {
+		const a = { ...this.#get(aName, format, season), name: aName };
+		const b = { ...this.#get(bName, format, season), name: bName };
+
+		// Both sides are rated against the other's rating from before the game.
+		return this.#mh.transaction(() => [
+			this.#update(a, b, score, replay, timestamp, season?.id ?? null),
+			this.#update(b, a, 1 - score, replay, timestamp, season?.id ?? null),
+		]);
+	}
+
+	/**
+	 * @param {Rating} before
+	 * @param {Rating} opponent
+	 * @param {number} score
+	 * @param {string} replay
+	 * @param {number} timestamp
+	 * @param {number | null} season - id of the current season, if any.
+	 * @returns {{ before: Rating, after: Rating }}
+	 */
+	#update(before, opponent, score, replay, timestamp, season) {
+		const after = {
+			...before,
+			...glicko2(before, opponent, score),
+			// Ties are neither.
+			wins: before.wins + (score === 1 ? 1 : 0),
+			losses: before.losses + (score === 0 ? 1 : 0),
+			updated: timestamp,
+		};
+
+		this.#mh.stmt.UPSERT_RATING.run(after);
+		this.#mh.stmt.INSERT_RATING_HISTORY.run({
+			player: after.player,
+			format: after.format,
+			replay,
+			opponent: opponent.player,
+			score,
+			rating: after.rating,
+			deviation: after.deviation,
+			volatility: after.volatility,
+			timestamp,
+			season,
+		});
+
+		return { before, after };
+	}
+
+};
+
+/**
+ * One Glicko-2 rating period with a single game.
+ * @param {{ rating: number, deviation: number, volatility: number }} self
+ * @param {{ rating: number, deviation: number }} opponent
+ * @param {number} score - 1 for a win, 0.5 for a tie, 0 for a loss.
+ * @returns {{ rating: number, deviation: number, volatility: number }}
+ */
+function glicko2(self, opponent, score) {
+	// Step 2: convert to the Glicko-2 scale.
+	const mu = (self.rating - DEFAULT_RATING) / SCALE;
+	const phi = self.deviation / SCALE;
+	const sigma = self.volatility;
+	const muJ = (opponent.rating - DEFAULT_RATING) / SCALE;
+	const phiJ = opponent.deviation / SCALE;
+
+	// Steps 3 and 4: estimated variance and improvement.
+	const g = 1 / Math.sqrt(1 + 3 * phiJ ** 2 / Math.PI ** 2);
+	const E = 1 / (1 + Math.exp(-g * (mu - muJ)));
+	const v = 1 / (g ** 2 * E * (1 - E));
+	const delta = v * g * (score - E);
+
+	// Step 5: new volatility, by the Illinois algorithm.
+	const a = Math.log(sigma ** 2);
+	const f = (x) => {
+		const ex = Math.exp(x);
+		return ex * (delta ** 2 - phi ** 2 - v - ex) / (2 * (phi ** 2 + v + ex) ** 2) - (x - a) / TAU ** 2;
+	};
+
+	let A = a;
+	let B;
+	if(delta ** 2 > phi ** 2 + v) {
+		B = Math.log(delta ** 2 - phi ** 2 - v);
+	}
+	else {
+		let k = 1;
+		while(f(a - k * TAU) < 0) k++;
+		B = a - k * TAU;
+	}
+
+	let fA = f(A);
+	let fB = f(B);
+	while(Math.abs(B - A) > CONVERGENCE) {
+		const C = A + (A - B) * fA / (fB - fA);
+		const fC = f(C);
+		if(fC * fB <= 0) {
+			A = B;
+			fA = fB;
+		}
+		else {
+			fA /= 2;
+		}
+		B = C;
+		fB = fC;
+	}
+	const sigmaNew = Math.exp(A / 2);
+
+	// Steps 6 to 8: new deviation and rating, back on the original scale.
+	const phiStar = Math.sqrt(phi ** 2 + sigmaNew ** 2);
+	const phiNew = 1 / Math.sqrt(1 / phiStar ** 2 + 1 / v);
+	const muNew = mu + phiNew ** 2 * g * (score - E);
+
+	return {
+		rating: muNew * SCALE + DEFAULT_RATING,
+		deviation: Math.min(phiNew * SCALE, DEFAULT_DEVIATION),
+		volatility: sigmaNew,
+	};
+}
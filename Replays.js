@@ -0,0 +1,145 @@
+/**
+ * Replays.js
+ *
+ * An archive of validated replays in players.db, searchable by player, metagame, pokemon and date.
+ * Leads and revealed moves are kept too, for usage statistics.
+ * Validating the same replay again replaces its archived data.
+ */
+
+"use strict";
+const { Dex, toID } = require("./pokemon-showdown/dist/sim/index.js");
+
+const DEFAULT_LIMIT = 10;
+
+/**
+ * @typedef {Object} ArchivedReplay
+ * @property {number} id
+ * @property {string} link - replay URL.
+ * @property {number | null} timestamp - unix timestamp in seconds.
+ * @property {string | null} format - predicted unique meta name.
+ * @property {string | null} winner - PS username.
+ * @property {{ side: number, player: string, name: string, won: number }[]} players
+ */
+
+/**
+ * @typedef {Object} PlayerProfile
+ * @property {{ games: number, wins: number, losses: number }} record - games without a winner are neither.
+ * @property {{ player: string, name: string, games: number, wins: number, losses: number }[]} opponents - most played first.
+ * @property {{ species: string, teams: number }[]} pokemon - most used first.
+ * @property {ArchivedReplay[]} recent - newest first.
+ */
+
+module.exports = class {
+
+	/** @type {import("./MetagameHelper.js")} */
+	#mh = null;
+
+	constructor(mh) {
+		this.#mh = mh;
+	}
+
+	/**
+	 * Stores the output of MetagameHelper.validate.
+	 * @param {string} link - replay URL.
+	 * @param {Awaited<ReturnType<import("./MetagameHelper.js")["validate"]>>} out
+	 * @param {string} [format] - unique meta name, if known. Otherwise, the best perfect match is assumed.
+	 * @returns {number} - archive id.
+	 */
+	archive(link, out, format) {
+		format ??= Array.from(out.formats.entries()).find((x) => !x[1].length)?.[0] ?? null;
+		const winner = out.battle[out.winner]?.player ?? null;
+
+		return this.#mh.transaction(() => {
+			const { id } = this.#mh.stmt.INSERT_REPLAY.get({
+				link,
+				timestamp: out.timestamp,
+				format,
+				winner,
+			});
+
+			this.#mh.stmt.DELETE_REPLAY_PLAYERS.run(id);
+			this.#mh.stmt.DELETE_REPLAY_POKEMON.run(id);
+			this.#mh.stmt.DELETE_REPLAY_LEADS.run(id);
+			this.#mh.stmt.DELETE_REPLAY_MOVES.run(id);
+
+			out.battle.forEach((side, i) => {
+				this.#mh.stmt.INSERT_REPLAY_PLAYER.run({
+					replay: id,
+					side: i,
+					player: toID(side.player),
+					name: side.player,
+					won: Number(i === out.winner),
+				});
+				for(const species of side.pokemon) {
+					this.#mh.stmt.INSERT_REPLAY_POKEMON.run({ replay: id, side: i, species });
+				}
+				for(const species of side.leads ?? []) {
+					this.#mh.stmt.INSERT_REPLAY_LEAD.run({ replay: id, side: i, species });
+				}
+				for(const [ species, moves ] of side.moves ?? []) {
+					for(const move of moves) {
+						this.#mh.stmt.INSERT_REPLAY_MOVE.run({ replay: id, side: i, species, move });
+					}
+				}
+			});
+
+			return id;
+		});
+	}
+
+	/**
+	 * Sums up the archived replays of a player.
+	 * @param {string} name - PS username.
+	 * @param {Object} [options]
+	 * @param {string} [options.opponent] - PS username; only the head-to-head against them.
+	 * @param {number} [options.limit] - of opponents, pokemon and recent replays each.
+	 * @returns {PlayerProfile}
+	 */
+	profile(name, { opponent, limit } = {}) {
+		const player = toID(name);
+		limit ??= DEFAULT_LIMIT;
+		return {
+			record: this.#mh.stmt.SELECT_PLAYER_RECORD.get(player),
+			opponents: this.#mh.stmt.SELECT_HEAD_TO_HEAD.all({ player, opponent: opponent ? toID(opponent) : null, limit }),
+			pokemon: this.#mh.stmt.SELECT_PLAYER_POKEMON.all(player, limit),
+			recent: this.search({ player, limit }),
+		};
+	}
+
+	/**
+	 * All filters are optional. Newest replays first.
+	 * @param {Object} filters
+	 * @param {string} [filters.player] - PS username.
+	 * @param {string} [filters.format] - unique meta name.
+	 * @param {string} [filters.pokemon] - species name, normalized like in validation.
+	 * @param {number} [filters.after] - unix timestamp in seconds, inclusive.
+	 * @param {number} [filters.before] - unix timestamp in seconds, exclusive.
+	 * @param {number} [filters.limit]
+	 * @returns {ArchivedReplay[]}
+	 */
+	search({ player, format, pokemon, after, before, limit }) {
+		let species = null;
+		if(pokemon) {
+			species = Dex.species.get(pokemon);
+			if(!species.exists) throw new Error(`Invalid species: ${pokemon}`);
+			const baseSpecies = Dex.species.get(species.baseSpecies);
+			species = baseSpecies.cosmeticFormes?.includes(species.name) ? baseSpecies.name : species.name;
+		}
+
+		const replays = this.#mh.stmt.SEARCH_REPLAYS.all({
+			player: player ? toID(player) : null,
+			format: format ?? null,
+			species,
+			after: after ?? null,
+			before: before ?? null,
+			limit: limit ?? DEFAULT_LIMIT,
+		});
+
+		for(const replay of replays) {
+			replay.players = this.#mh.stmt.SELECT_REPLAY_PLAYERS.all(replay.id);
+		}
+
+		return replays;
+	}
+
+};
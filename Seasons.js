@@ -0,0 +1,180 @@
+/**
+ * Seasons.js
+ *
+ * Ladder seasons over the ratings in players.db. The ratings table always holds the current season:
+ * ending a season archives its final standings, and starting the next one resets the ratings.
+ *
+ * A hard reset starts everyone over, a soft reset pulls every rating towards the default and raises its deviation,
+ * and no reset only clears the records. Win and loss records always start over.
+ */
+
+"use strict";
+const Ratings = require("./Ratings.js");
+
+const RESETS = ["hard", "soft", "none"];
+
+// A soft reset keeps this share of the distance from the default rating.
+const SOFT_RESET_FACTOR = 0.5;
+// And raises deviations to at least this, so ratings settle again within a few games.
+const SOFT_RESET_DEVIATION = 150;
+
+const STANDINGS_SIZE = 20;
+
+/**
+ * @typedef {Object} Season
+ * @property {number} id
+ * @property {string} name
+ * @property {"hard" | "soft" | "none"} reset - how the ratings were reset when it started.
+ * @property {number} decay - rating lost per week of inactivity, 0 for none.
+ * @property {number} started - unix timestamp in seconds.
+ * @property {number | null} ended - unix timestamp in seconds, null for the current season.
+ */
+
+/**
+ * @typedef {Object} SeasonStanding
+ * @property {number} season
+ * @property {string} format
+ * @property {number} rank - 1 is first.
+ * @property {string} player - PS user id.
+ * @property {string} name - PS username as last seen.
+ * @property {number} rating - including decay at the end of the season.
+ * @property {number} deviation
+ * @property {number} wins
+ * @property {number} losses
+ */
+
+module.exports = class {
+
+	static RESETS = RESETS;
+
+	/** @type {import("./MetagameHelper.js")} */
+	#mh = null;
+
+	/** @type {import("./Ratings.js")} */
+	#ratings = null;
+
+	constructor(mh) {
+		this.#mh = mh;
+		this.#ratings = new Ratings(mh);
+	}
+
+	/**
+	 * @returns {Season | null}
+	 */
+	current() {
+		return this.#mh.stmt.SELECT_CURRENT_SEASON.get() ?? null;
+	}
+
+	/**
+	 * @param {number} id
+	 * @returns {Season | null}
+	 */
+	get(id) {
+		return this.#mh.stmt.SELECT_SEASON.get(id) ?? null;
+	}
+
+	/**
+	 * @returns {Season[]} - latest first.
+	 */
+	list() {
+		return this.#mh.stmt.SELECT_SEASONS.all();
+	}
+
+	/**
+	 * Starts a season and resets the ratings. Only one season can run at a time.
+	 * @param {Object} options
+	 * @param {string} options.name
+	 * @param {"hard" | "soft" | "none"} [options.reset]
+	 * @param {number} [options.decay] - rating lost per week of inactivity.
+	 * @returns {Season}
+	 */
+	start({ name, reset = "soft", decay = 0 }) {
+		if(!name) throw new Error("Seasons need a name.");
+		if(!RESETS.includes(reset)) throw new Error(`Unknown reset: ${reset}`);
+		if(!(decay >= 0)) throw new Error("Decay can not be negative.");
+		const running = this.current();
+		if(running) throw new Error(`${running.name} is still running.`);
+
+		const started = Math.floor(Date.now() / 1000);
+		return this.#mh.transaction(() => {
+			switch(reset) {
+				case "hard": {
+					this.#mh.stmt.DELETE_RATINGS.run();
+					break;
+				}
+				case "soft": {
+					this.#mh.stmt.SOFT_RESET_RATINGS.run({
+						rating: Ratings.DEFAULT_RATING,
+						factor: SOFT_RESET_FACTOR,
+						deviation: SOFT_RESET_DEVIATION,
+						updated: started,
+					});
+					break;
+				}
+				case "none": {
+					this.#mh.stmt.CLEAR_RATING_RECORDS.run({ updated: started });
+					break;
+				}
+			}
+			return this.#mh.stmt.INSERT_SEASON.get({ name, reset, decay, started });
+		});
+	}
+
+	/**
+	 * Ends the current season and archives the standings of every format, with decay applied.
+	 * The ratings stay as they are until the next season starts.
+	 * @returns {Season}
+	 */
+	end() {
+		const season = this.current();
+		if(!season) throw new Error("No season is running.");
+
+		// Decay is read from the current season, so the standings are taken before it ends.
+		const formats = new Set(this.#mh.stmt.SELECT_ALL_RATINGS.all().map(({ format }) => format));
+		const standings = Array.from(formats).flatMap((format) => this.#ratings.leaderboard(format, Infinity));
+		const ended = Math.floor(Date.now() / 1000);
+
+		return this.#mh.transaction(() => {
+			let rank = 0;
+			let format = null;
+			for(const rating of standings) {
+				if(rating.format !== format) {
+					format = rating.format;
+					rank = 0;
+				}
+				this.#mh.stmt.INSERT_SEASON_STANDING.run({
+					season: season.id,
+					format,
+					rank: ++rank,
+					player: rating.player,
+					name: rating.name,
+					rating: rating.rating,
+					deviation: rating.deviation,
+					wins: rating.wins,
+					losses: rating.losses,
+				});
+			}
+			this.#mh.stmt.END_SEASON.run({ id: season.id, ended });
+			return { ...season, ended };
+		});
+	}
+
+	/**
+	 * @param {number} id
+	 * @returns {{ format: string, players: number }[]} - formats with archived standings.
+	 */
+	formats(id) {
+		return this.#mh.stmt.SELECT_SEASON_FORMATS.all(id);
+	}
+
+	/**
+	 * @param {number} id
+	 * @param {string} format - unique meta name.
+	 * @param {number} [limit]
+	 * @returns {SeasonStanding[]} - first place first; empty for the current season.
+	 */
+	standings(id, format, limit = STANDINGS_SIZE) {
+		return this.#mh.stmt.SELECT_SEASON_STANDINGS.all(id, format, limit);
+	}
+
+};
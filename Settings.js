@@ -0,0 +1,145 @@
+/**
+ * Settings.js
+ *
+ * Per-guild settings, stored in players.db as JSON. Settings that were never set, or were reset, have their default.
+ * Values are given as text, as typed in Discord, and parsed here.
+ */
+
+"use strict";
+const MetagameHelper = require("./MetagameHelper.js");
+
+/**
+ * @typedef {Object} GuildSettings
+ * @property {string[]} trustedHosts - host names replays are validated from; only ever some of those of the Showdown server.
+ * @property {number} mismatchCutoff - most mismatches a metagame can have to be listed in a format prediction.
+ * @property {string | null} announcementChannel - Discord channel id for tournaments and seasons; where the command was used if null.
+ * @property {string | null} resultsChannel - Discord channel id for results of factory battles and series; where the command was used if null.
+ * @property {string} fallbackCode - challenge code of factory battles whose metagame has none.
+ * @property {string | null} defaultGroup - metagame group assumed when a metagame is given without one.
+ */
+
+/** @type {Record<keyof GuildSettings, { description: string, default: (mh: import("./MetagameHelper.js")) => any, parse: (input: string, mh: import("./MetagameHelper.js")) => any }>} */
+const SETTINGS = {
+	trustedHosts: {
+		description: "Trusted replay hosts, comma-separated",
+		default: (mh) => mh.server.trustedHosts,
+		// Replays from these are archived and rated on the shared ladder, so a guild can only narrow the hosts of the server, never add to them.
+		parse: (input, mh) => {
+			const hosts = input.split(",").map((x) => x.trim().toLowerCase()).filter((x) => x);
+			if(!hosts.length) throw new Error("Give at least one host name.");
+			for(const host of hosts) {
+				if(!mh.server.trustedHosts.includes(host)) throw new Error(`Not a trusted host of the Showdown server: ${host} (choose from ${mh.server.trustedHosts.join(", ")})`);
+			}
+			return hosts;
+		},
+	},
+	mismatchCutoff: {
+		description: "Most mismatches shown in format predictions",
+		default: () => 4,
+		parse: (input) => {
+			const n = Number(input);
+			if(!Number.isInteger(n) || n < 0) throw new Error("The cutoff must be a whole number, 0 or more.");
+			return n;
+		},
+	},
+	announcementChannel: {
+		description: "Channel for tournaments and seasons",
+		default: () => null,
+		parse: parseChannel,
+	},
+	resultsChannel: {
+		description: "Channel for results of factory battles and series",
+		default: () => null,
+		parse: parseChannel,
+	},
+	fallbackCode: {
+		description: "Challenge code of factory formats without one",
+		default: () => MetagameHelper.FACTORY_FALLBACK_CODE,
+		parse: (input) => {
+			const code = input.trim().replace(/^\/challenge\s+/, "");
+			if(!code) throw new Error("Give a challenge code.");
+			return code;
+		},
+	},
+	defaultGroup: {
+		description: "Metagame group assumed when none is given",
+		default: () => null,
+		parse: (input, mh) => {
+			const group = input.trim().replace(/\/$/, "");
+			if(!mh.metagamesArray.some((x) => x.startsWith(`${group}/`))) throw new Error(`Unknown metagame group: ${group}`);
+			return group;
+		},
+	},
+};
+
+module.exports = class {
+
+	static SETTINGS = SETTINGS;
+
+	/** @type {import("./MetagameHelper.js")} */
+	#mh = null;
+
+	constructor(mh) {
+		this.#mh = mh;
+	}
+
+	/**
+	 * @param {string | null} guild - Discord guild id; null for the defaults, e.g. in DMs.
+	 * @returns {GuildSettings}
+	 */
+	get(guild) {
+		const out = {};
+		for(const key in SETTINGS) out[key] = SETTINGS[key].default(this.#mh);
+		if(!guild) return out;
+		for(const { key, value } of this.#mh.stmt.SELECT_SETTINGS.all(guild)) {
+			// Settings that were removed since are ignored.
+			if(key in SETTINGS) out[key] = JSON.parse(value);
+		}
+		// The server's hosts can change in the config after a guild narrowed them.
+		const hosts = out.trustedHosts.filter((x) => this.#mh.server.trustedHosts.includes(x));
+		out.trustedHosts = hosts.length ? hosts : this.#mh.server.trustedHosts;
+		return out;
+	}
+
+	/**
+	 * @param {keyof GuildSettings} key
+	 * @param {string} input - as typed by the user.
+	 * @returns {any} - the value to set.
+	 */
+	parse(key, input) {
+		if(!(key in SETTINGS)) throw new Error(`Unknown setting: ${key}`);
+		return SETTINGS[key].parse(input, this.#mh);
+	}
+
+	/**
+	 * @param {string} guild - Discord guild id.
+	 * @param {keyof GuildSettings} key
+	 * @param {any} value - from parse.
+	 */
+	set(guild, key, value) {
+		if(!(key in SETTINGS)) throw new Error(`Unknown setting: ${key}`);
+		this.#mh.stmt.UPSERT_SETTING.run({ guild, key, value: JSON.stringify(value) });
+	}
+
+	/**
+	 * Restores the default.
+	 * @param {string} guild - Discord guild id.
+	 * @param {keyof GuildSettings} key
+	 * @returns {boolean} - false if it was not set.
+	 */
+	reset(guild, key) {
+		if(!(key in SETTINGS)) throw new Error(`Unknown setting: ${key}`);
+		return Boolean(this.#mh.stmt.DELETE_SETTING.run({ guild, key }).changes);
+	}
+
+};
+
+/**
+ * @param {string} input - a channel mention or id.
+ * @returns {string} - channel id.
+ */
+function parseChannel(input) {
+	const id = input.trim().replace(/^<#(\d+)>$/, "$1");
+	if(!/^\d+$/.test(id)) throw new Error("Give a channel, like #results");
+	return id;
+}
@@ -0,0 +1,120 @@
+/**
+ * Stats.js
+ *
+ * Usage statistics of a metagame, from the replays archived in players.db.
+ * Every side of a replay counts as one team, and a team only counts if its player is in the rating bracket.
+ * Players without a rating in the metagame count as provisional, at the default rating.
+ */
+
+"use strict";
+const Ratings = require("./Ratings.js");
+
+/**
+ * @typedef {Object} PokemonUsage
+ * @property {string} species
+ * @property {number} teams - teams that brought it.
+ * @property {number} usage - share of all teams, 0 to 1.
+ * @property {number} winrate - share of its teams that won, 0 to 1.
+ * @property {number} leads - share of all teams that led with it, 0 to 1.
+ * @property {{ species: string, rate: number }[]} teammates - share of its teams that also brought them, most common first.
+ * @property {{ move: string, rate: number }[]} moves - share of its teams that revealed them, most common first.
+ */
+
+/**
+ * @typedef {Object} UsageStats
+ * @property {string} format
+ * @property {number} teams - all teams counted.
+ * @property {PokemonUsage[]} pokemon - most used first.
+ */
+
+module.exports = class {
+
+	/** @type {import("./MetagameHelper.js")} */
+	#mh = null;
+
+	constructor(mh) {
+		this.#mh = mh;
+	}
+
+	/**
+	 * @param {Object} filters
+	 * @param {string} filters.format - unique meta name.
+	 * @param {number} [filters.after] - unix timestamp in seconds, inclusive.
+	 * @param {number} [filters.before] - unix timestamp in seconds, exclusive.
+	 * @param {number} [filters.minRating] - only teams of players rated at least this much.
+	 * @returns {UsageStats}
+	 */
+	usage({ format, after, before, minRating }) {
+		const params = {
+			format,
+			after: after ?? null,
+			before: before ?? null,
+		};
+
+		/** @type {Map<string, { won: boolean, pokemon: Set<string>, leads: Set<string>, moves: Map<string, Set<string>> }>} replay:side -> team */
+		const teams = new Map();
+		const rows = this.#mh.stmt.SELECT_STATS_TEAMS.all({ ...params, minRating: minRating ?? null, defaultRating: Ratings.DEFAULT_RATING });
+		for(const { replay, side, won } of rows) {
+			teams.set(`${replay}:${side}`, { won: Boolean(won), pokemon: new Set(), leads: new Set(), moves: new Map() });
+		}
+
+		for(const { replay, side, species } of this.#mh.stmt.SELECT_STATS_POKEMON.all(params)) {
+			teams.get(`${replay}:${side}`)?.pokemon.add(species);
+		}
+		for(const { replay, side, species } of this.#mh.stmt.SELECT_STATS_LEADS.all(params)) {
+			teams.get(`${replay}:${side}`)?.leads.add(species);
+		}
+		for(const { replay, side, species, move } of this.#mh.stmt.SELECT_STATS_MOVES.all(params)) {
+			const team = teams.get(`${replay}:${side}`);
+			if(!team) continue;
+			if(!team.moves.has(species)) team.moves.set(species, new Set());
+			team.moves.get(species).add(move);
+		}
+
+		/** @type {Map<string, { teams: number, wins: number, leads: number, teammates: Map<string, number>, moves: Map<string, number> }>} */
+		const counts = new Map();
+		const count = (species) => {
+			if(!counts.has(species)) counts.set(species, { teams: 0, wins: 0, leads: 0, teammates: new Map(), moves: new Map() });
+			return counts.get(species);
+		};
+		const increment = (map, key) => map.set(key, (map.get(key) ?? 0) + 1);
+
+		for(const team of teams.values()) {
+			for(const species of team.pokemon) {
+				const c = count(species);
+				c.teams++;
+				if(team.won) c.wins++;
+				for(const mate of team.pokemon) {
+					if(mate !== species) increment(c.teammates, mate);
+				}
+				for(const move of team.moves.get(species) ?? []) {
+					increment(c.moves, move);
+				}
+			}
+			for(const species of team.leads) {
+				count(species).leads++;
+			}
+		}
+
+		const sorted = (map, key, total) => Array.from(map.entries())
+		.map(([ name, n ]) => ({ [key]: name, rate: n / total }))
+		.sort((a, b) => b.rate - a.rate);
+
+		const pokemon = Array.from(counts.entries())
+		// Leads are named after their switch, which can differ from the team for some formes.
+		.filter(([ , c ]) => c.teams)
+		.map(([ species, c ]) => ({
+			species,
+			teams: c.teams,
+			usage: c.teams / teams.size,
+			winrate: c.wins / c.teams,
+			leads: c.leads / teams.size,
+			teammates: sorted(c.teammates, "species", c.teams),
+			moves: sorted(c.moves, "move", c.teams),
+		}))
+		.sort((a, b) => b.teams - a.teams || a.species.localeCompare(b.species));
+
+		return { format, teams: teams.size, pokemon };
+	}
+
+};
@@ -0,0 +1,464 @@
+/**
+ * Tournaments.js
+ *
+ * Single elimination, double elimination and Swiss tournaments between linked players, stored in players.db.
+ * Results come from replays validated against the tournament's metagame, and a round advances as soon as all of its matches have a winner.
+ *
+ * Everything about a player's standing (losses, points, opponents) is derived from the recorded matches.
+ * A match without p2 is a bye: it counts as a win in Swiss and as nothing in elimination.
+ *
+ * Double elimination does not follow a fixed bracket chart: every round, players are paired with others who have the same number of losses.
+ * When only two players remain, they play a grand final, which is replayed if the player coming from the losers' side wins it.
+ */
+
+"use strict";
+const { toID } = require("./pokemon-showdown/dist/sim/index.js");
+
+const TYPES = ["single", "double", "swiss"];
+
+// Most pairings tried when looking for a Swiss round without rematches, since the search can grow exponentially when there is none.
+const PAIRING_STEPS = 100000;
+
+/**
+ * @typedef {Object} Tournament
+ * @property {number} id
+ * @property {string} guild - Discord guild id.
+ * @property {string} name
+ * @property {string} format - unique meta name.
+ * @property {"single" | "double" | "swiss"} type
+ * @property {number | null} rounds - Swiss only; derived from the player count if null.
+ * @property {"signup" | "running" | "finished"} state
+ * @property {number} round - current round, 0 before the start.
+ * @property {number} created - unix timestamp in seconds.
+ * @property {number | null} started - unix timestamp in seconds.
+ * @property {string | null} winner - Discord user id.
+ */
+
+/**
+ * @typedef {Object} Match
+ * @property {number} id
+ * @property {number} tour
+ * @property {number} round
+ * @property {string} p1 - Discord user id.
+ * @property {string | null} p2 - Discord user id, null for a bye.
+ * @property {string | null} winner - Discord user id.
+ * @property {string | null} replay - replay URL.
+ */
+
+/**
+ * @typedef {Object} Standing
+ * @property {string} discord
+ * @property {string} name - PS username.
+ * @property {number} seed
+ * @property {number} wins - including byes.
+ * @property {number} losses
+ * @property {number} byes
+ * @property {number} buchholz - Swiss tiebreaker; sum of the opponents' wins.
+ * @property {Set<string>} opponents
+ * @property {number} last - id of the latest match, for keeping bracket order in elimination.
+ */
+
+/**
+ * @typedef {Object} Progress
+ * @property {Tournament} tour - after the change.
+ * @property {Match[]} matches - matches of the new round, if one has started.
+ */
+
+module.exports = class {
+
+	static TYPES = TYPES;
+
+	/** @type {import("./MetagameHelper.js")} */
+	#mh = null;
+
+	constructor(mh) {
+		this.#mh = mh;
+	}
+
+	/**
+	 * @param {Object} tour
+	 * @param {string} tour.guild
+	 * @param {string} tour.name
+	 * @param {string} tour.format
+	 * @param {string} tour.type
+	 * @param {number} [tour.rounds]
+	 * @returns {Tournament}
+	 */
+	create({ guild, name, format, type, rounds }) {
+		if(!TYPES.includes(type)) throw new Error(`Invalid tournament type: ${type}`);
+		if(rounds != null && (type !== "swiss" || rounds < 1)) throw new Error("Rounds can only be set for Swiss, and must be positive.");
+
+		return this.#mh.stmt.INSERT_TOUR.get({
+			guild,
+			name,
+			format,
+			type,
+			rounds: rounds ?? null,
+			created: Math.floor(Date.now() / 1000),
+		});
+	}
+
+	/**
+	 * @param {string} guild - Discord guild id.
+	 * @param {number} [id] - if omitted, the newest unfinished tournament of the guild.
+	 * @returns {Tournament}
+	 */
+	get(guild, id) {
+		const tour = id == null
+		? this.#mh.stmt.SELECT_ACTIVE_TOUR.get(guild)
+		: this.#mh.stmt.SELECT_TOUR.get(id);
+		if(!tour || tour.guild !== guild) throw new Error("Tournament not found.");
+		return tour;
+	}
+
+	/**
+	 * @param {Tournament} tour
+	 * @returns {{ discord: string, player: string, name: string, seed: number }[]}
+	 */
+	players(tour) {
+		return this.#mh.stmt.SELECT_TOUR_PLAYERS.all(tour.id);
+	}
+
+	/**
+	 * @param {Tournament} tour
+	 * @returns {Match[]} - in order of rounds.
+	 */
+	matches(tour) {
+		return this.#mh.stmt.SELECT_TOUR_MATCHES.all(tour.id);
+	}
+
+	/**
+	 * @param {Tournament} tour
+	 * @param {import("./Links.js").Link} link - of the joining player.
+	 */
+	join(tour, link) {
+		if(tour.state !== "signup") throw new Error("Signups are closed.");
+		if(this.players(tour).some((x) => x.discord === link.discord)) throw new Error("You have already joined.");
+
+		this.#mh.stmt.INSERT_TOUR_PLAYER.run({
+			tour: tour.id,
+			discord: link.discord,
+			player: link.player,
+			name: link.name,
+		});
+	}
+
+	/**
+	 * @param {Tournament} tour
+	 * @param {string} discord - Discord user id.
+	 */
+	leave(tour, discord) {
+		if(tour.state !== "signup") throw new Error("Players can only leave during signups.");
+		if(!this.#mh.stmt.DELETE_TOUR_PLAYER.run(tour.id, discord).changes) throw new Error("You have not joined.");
+	}
+
+	/**
+	 * Closes signups and pairs the first round.
+	 * @param {Tournament} tour
+	 * @returns {Progress}
+	 */
+	start(tour) {
+		if(tour.state !== "signup") throw new Error("This tournament has already started.");
+		if(this.players(tour).length < 2) throw new Error("At least 2 players are needed.");
+
+		return this.#mh.transaction(() => {
+			const started = {
+				...tour,
+				state: "running",
+				started: Math.floor(Date.now() / 1000),
+			};
+			this.#save(started);
+			return this.#nextRound(started);
+		});
+	}
+
+	/**
+	 * Records the result of a replay for the open match between its two players.
+	 * @param {Tournament} tour
+	 * @param {string} link - replay URL.
+	 * @param {Awaited<ReturnType<import("./MetagameHelper.js")["validate"]>>} out - output of MetagameHelper.validate.
+	 * @returns {Progress & { match: Match }}
+	 */
+	report(tour, link, out) {
+		if(tour.state !== "running") throw new Error("This tournament is not running.");
+		if(out.errors.length) throw new Error("Replays with errors can not be reported.");
+		if(out.battle.length !== 2) throw new Error("Only battles between two players can be reported.");
+		if(out.winner === -1) throw new Error("This replay has no winner.");
+		if(out.formats.get(tour.format)?.length !== 0) throw new Error(`This replay is not a perfect match for ${tour.format}.`);
+		if(out.timestamp && out.timestamp < tour.started) throw new Error("This replay was played before the tournament started.");
+
+		const matches = this.matches(tour);
+		if(matches.some((x) => x.replay === link)) throw new Error("This replay has already been reported.");
+
+		const players = this.players(tour);
+		const sides = out.battle.map((side) => players.find((x) => x.player === toID(side.player)));
+		if(sides.some((x) => !x)) throw new Error("Both players of this replay must be in the tournament.");
+
+		const [ a, b ] = sides.map((x) => x.discord);
+		const match = matches.find((x) => (
+			x.round === tour.round
+			&& !x.winner
+			&& ((x.p1 === a && x.p2 === b) || (x.p1 === b && x.p2 === a))
+		));
+		if(!match) throw new Error("These players have no open match in the current round.");
+
+		return this.#record(tour, match, sides[out.winner].discord, link);
+	}
+
+	/**
+	 * Records the result of a battle hosted by the bots for a match. Only clear results are recorded; the rest are left to admins.
+	 * @param {Tournament} tour
+	 * @param {number} id - match id.
+	 * @param {import("./PSBots.js").BattleResult} result
+	 * @returns {Progress & { match: Match }}
+	 */
+	reportResult(tour, id, result) {
+		if(tour.state !== "running") throw new Error("This tournament is not running.");
+		if(result.outcome === "tie") throw new Error("The battle ended in a tie.");
+		if(result.outcome === "wrongplayer") {
+			const list = result.wrongPlayers.map((x) => `${x.actual} played instead of ${x.expected}`);
+			throw new Error(`Wrong players: ${list.join(", ")}.`);
+		}
+		if(!result.winner) throw new Error("Neither player showed up.");
+
+		const match = this.matches(tour).find((x) => x.id === id);
+		if(!match) throw new Error("Match not found.");
+		if(match.round !== tour.round || match.winner) throw new Error("This match is not open anymore.");
+
+		const winner = this.players(tour).find((x) => x.player === toID(result.winner));
+		if(!winner || (winner.discord !== match.p1 && winner.discord !== match.p2)) throw new Error("The winner must be a player of this match.");
+
+		return this.#record(tour, match, winner.discord, result.replay ?? result.room);
+	}
+
+	/**
+	 * Sets the winner of a match in the current round by hand, even if it already had one.
+	 * @param {Tournament} tour
+	 * @param {number} id - match id.
+	 * @param {string} winner - Discord user id.
+	 * @returns {Progress & { match: Match }}
+	 */
+	override(tour, id, winner) {
+		if(tour.state !== "running") throw new Error("This tournament is not running.");
+
+		const match = this.matches(tour).find((x) => x.id === id);
+		if(!match) throw new Error("Match not found.");
+		if(match.round !== tour.round) throw new Error("Only matches of the current round can be changed.");
+		if(!match.p2) throw new Error("Byes can not be changed.");
+		if(winner !== match.p1 && winner !== match.p2) throw new Error("The winner must be a player of this match.");
+
+		return this.#record(tour, match, winner, match.replay);
+	}
+
+	/**
+	 * @param {Tournament} tour
+	 * @returns {Standing[]} - best first.
+	 */
+	standings(tour) {
+		/** @type {Map<string, Standing>} */
+		const standings = new Map();
+		for(const { discord, name, seed } of this.players(tour)) {
+			standings.set(discord, {
+				discord,
+				name,
+				seed,
+				wins: 0,
+				losses: 0,
+				byes: 0,
+				buchholz: 0,
+				opponents: new Set(),
+				last: 0,
+			});
+		}
+
+		for(const match of this.matches(tour)) {
+			const p1 = standings.get(match.p1);
+			const p2 = standings.get(match.p2);
+			p1.last = match.id;
+			if(!p2) {
+				p1.wins++;
+				p1.byes++;
+				continue;
+			}
+			p2.last = match.id;
+			p1.opponents.add(p2.discord);
+			p2.opponents.add(p1.discord);
+			if(!match.winner) continue;
+			const [ winner, loser ] = match.winner === p1.discord ? [p1, p2] : [p2, p1];
+			winner.wins++;
+			loser.losses++;
+		}
+
+		for(const standing of standings.values()) {
+			for(const opponent of standing.opponents) {
+				standing.buchholz += standings.get(opponent).wins;
+			}
+		}
+
+		return Array.from(standings.values()).sort((a, b) => {
+			if(tour.type === "swiss") {
+				return (b.wins - a.wins) || (b.buchholz - a.buchholz) || (a.seed - b.seed);
+			}
+			return (a.losses - b.losses) || (b.wins - a.wins) || (a.seed - b.seed);
+		});
+	}
+
+	#record(tour, match, winner, replay) {
+		return this.#mh.transaction(() => {
+			const recorded = { ...match, winner, replay };
+			this.#mh.stmt.UPDATE_TOUR_MATCH.run({ id: match.id, winner, replay });
+
+			const open = this.matches(tour).filter((x) => x.round === tour.round && !x.winner);
+			if(open.length) return { tour, match: recorded, matches: [] };
+
+			return { ...this.#nextRound(tour), match: recorded };
+		});
+	}
+
+	/**
+	 * Pairs the next round, or finishes the tournament if there is a winner.
+	 * @param {Tournament} tour
+	 * @returns {Progress}
+	 */
+	#nextRound(tour) {
+		const standings = this.standings(tour);
+
+		/** @type {[Standing, Standing | null][]} */
+		let pairs;
+
+		if(tour.type === "swiss") {
+			const rounds = tour.rounds ?? Math.ceil(Math.log2(standings.length));
+			if(tour.round >= rounds) return this.#finish(tour, standings[0]);
+			pairs = pairSwiss(standings);
+		}
+		else {
+			const lives = tour.type === "single" ? 1 : 2;
+			const alive = standings
+			.filter((x) => x.losses < lives)
+			.sort((a, b) => tour.round ? a.last - b.last : a.seed - b.seed);
+
+			if(alive.length === 1) return this.#finish(tour, alive[0]);
+
+			if(tour.round === 0) {
+				pairs = pairInOrder(fold(alive));
+			}
+			else if(alive.length === 2) {
+				pairs = [alive];
+			}
+			else {
+				pairs = [];
+				for(let losses = 0; losses < lives; losses++) {
+					pairs.push(...pairInOrder(alive.filter((x) => x.losses === losses)));
+				}
+			}
+		}
+
+		const next = { ...tour, round: tour.round + 1 };
+		this.#save(next);
+
+		const matches = pairs.map(([ p1, p2 ]) => this.#mh.stmt.INSERT_TOUR_MATCH.get({
+			tour: tour.id,
+			round: next.round,
+			p1: p1.discord,
+			p2: p2?.discord ?? null,
+			winner: p2 ? null : p1.discord,
+		}));
+
+		return { tour: next, matches };
+	}
+
+	#finish(tour, winner) {
+		const finished = { ...tour, state: "finished", winner: winner.discord };
+		this.#save(finished);
+		return { tour: finished, matches: [] };
+	}
+
+	#save(tour) {
+		this.#mh.stmt.UPDATE_TOUR.run({
+			id: tour.id,
+			state: tour.state,
+			round: tour.round,
+			started: tour.started,
+			winner: tour.winner,
+		});
+	}
+
+};
+
+/**
+ * Orders seeds so that consecutive pairs are 1 vs n, 2 vs n-1 and so on.
+ * @template T
+ * @param {T[]} list - by seed.
+ * @returns {T[]}
+ */
+function fold(list) {
+	const result = [];
+	for(let i = 0, j = list.length - 1; i <= j; i++, j--) {
+		result.push(list[i]);
+		if(i !== j) result.push(list[j]);
+	}
+	return result;
+}
+
+/**
+ * @template T
+ * @param {T[]} list
+ * @returns {[T, T | null][]} - the last one gets a bye if the count is odd.
+ */
+function pairInOrder(list) {
+	const pairs = [];
+	for(let i = 0; i < list.length; i += 2) {
+		pairs.push([list[i], list[i + 1] ?? null]);
+	}
+	return pairs;
+}
+
+/**
+ * Pairs players with the closest standing that they have not played yet, if possible.
+ * The lowest player who has not had a bye yet gets one if the count is odd.
+ * @param {Standing[]} standings - best first.
+ * @returns {[Standing, Standing | null][]}
+ */
+function pairSwiss(standings) {
+	const unpaired = [...standings];
+	const pairs = [];
+
+	let bye = null;
+	if(unpaired.length % 2) {
+		const candidates = unpaired.filter((x) => !x.byes);
+		bye = candidates[candidates.length - 1] ?? unpaired[unpaired.length - 1];
+		unpaired.splice(unpaired.indexOf(bye), 1);
+	}
+
+	// Taking the closest opponent for each player in turn can leave the last ones with only rematches.
+	const fresh = pairWithoutRematches(unpaired, { steps: PAIRING_STEPS });
+	if(fresh) return bye ? [...fresh, [bye, null]] : fresh;
+
+	while(unpaired.length) {
+		const p1 = unpaired.shift();
+		const i = unpaired.findIndex((x) => !p1.opponents.has(x.discord));
+		const [ p2 ] = unpaired.splice(Math.max(i, 0), 1);
+		pairs.push([p1, p2]);
+	}
+
+	if(bye) pairs.push([bye, null]);
+	return pairs;
+}
+
+/**
+ * Pairs every player with the closest standing they have not played yet, backtracking when that leaves someone without one.
+ * @param {Standing[]} list - best first, even count.
+ * @param {{ steps: number }} budget - pairings left to try, shared by the whole search.
+ * @returns {[Standing, Standing][] | null} - null if rematches can't be avoided, or it took too long to tell.
+ */
+function pairWithoutRematches(list, budget) {
+	if(!list.length) return [];
+	const [ p1, ...rest ] = list;
+	for(const [ i, p2 ] of rest.entries()) {
+		if(p1.opponents.has(p2.discord)) continue;
+		if(--budget.steps < 0) return null;
+		const others = pairWithoutRematches(rest.filter((_, j) => j !== i), budget);
+		if(others) return [[p1, p2], ...others];
+	}
+	return null;
+}
@@ -2,9 +2,535 @@
 CREATE TABLE IF NOT EXISTS replays
 (
 	id INTEGER PRIMARY KEY,
-	link TEXT NOT NULL UNIQUE
+	link TEXT NOT NULL UNIQUE,
+	timestamp INTEGER,
+	format TEXT,
+	winner TEXT
 );
 
+---MIGRATE
+ALTER TABLE replays ADD COLUMN timestamp INTEGER;
+
+---MIGRATE
+ALTER TABLE replays ADD COLUMN format TEXT;
+
+---MIGRATE
+ALTER TABLE replays ADD COLUMN winner TEXT;
+
+---STARTUP
+CREATE TABLE IF NOT EXISTS replay_players
+(
+	replay INTEGER NOT NULL REFERENCES replays (id),
+	side INTEGER NOT NULL,
+	player TEXT NOT NULL,
+	name TEXT NOT NULL,
+	won INTEGER NOT NULL,
+	PRIMARY KEY (replay, side)
+);
+
+---STARTUP
+CREATE TABLE IF NOT EXISTS replay_pokemon
+(
+	replay INTEGER NOT NULL REFERENCES replays (id),
+	side INTEGER NOT NULL,
+	species TEXT NOT NULL
+);
+
+---STARTUP
+CREATE INDEX IF NOT EXISTS replay_pokemon_replay ON replay_pokemon (replay);
+
+---STARTUP
+CREATE TABLE IF NOT EXISTS replay_leads
+(
+	replay INTEGER NOT NULL REFERENCES replays (id),
+	side INTEGER NOT NULL,
+	species TEXT NOT NULL
+);
+
+---STARTUP
+CREATE INDEX IF NOT EXISTS replay_leads_replay ON replay_leads (replay);
+
+---STARTUP
+CREATE TABLE IF NOT EXISTS replay_moves
+(
+	replay INTEGER NOT NULL REFERENCES replays (id),
+	side INTEGER NOT NULL,
+	species TEXT NOT NULL,
+	move TEXT NOT NULL
+);
+
+---STARTUP
+CREATE INDEX IF NOT EXISTS replay_moves_replay ON replay_moves (replay);
+
 ---INSERT_REPLAY
-INSERT INTO replays (url)
-VALUES (?);
+INSERT INTO replays (link, timestamp, format, winner)
+VALUES (:link, :timestamp, :format, :winner)
+ON CONFLICT (link) DO UPDATE SET
+	timestamp = excluded.timestamp,
+	format = excluded.format,
+	winner = excluded.winner
+RETURNING id;
+
+---DELETE_REPLAY_PLAYERS
+DELETE FROM replay_players
+WHERE replay = ?;
+
+---DELETE_REPLAY_POKEMON
+DELETE FROM replay_pokemon
+WHERE replay = ?;
+
+---DELETE_REPLAY_LEADS
+DELETE FROM replay_leads
+WHERE replay = ?;
+
+---DELETE_REPLAY_MOVES
+DELETE FROM replay_moves
+WHERE replay = ?;
+
+---INSERT_REPLAY_PLAYER
+INSERT INTO replay_players (replay, side, player, name, won)
+VALUES (:replay, :side, :player, :name, :won);
+
+---INSERT_REPLAY_POKEMON
+INSERT INTO replay_pokemon (replay, side, species)
+VALUES (:replay, :side, :species);
+
+---INSERT_REPLAY_LEAD
+INSERT INTO replay_leads (replay, side, species)
+VALUES (:replay, :side, :species);
+
+---INSERT_REPLAY_MOVE
+INSERT INTO replay_moves (replay, side, species, move)
+VALUES (:replay, :side, :species, :move);
+
+---SEARCH_REPLAYS
+SELECT * FROM replays AS r
+WHERE (:player IS NULL OR EXISTS (SELECT 1 FROM replay_players AS p WHERE p.replay = r.id AND p.player = :player))
+AND (:format IS NULL OR r.format = :format)
+AND (:species IS NULL OR EXISTS (SELECT 1 FROM replay_pokemon AS m WHERE m.replay = r.id AND m.species = :species))
+AND (:after IS NULL OR r.timestamp >= :after)
+AND (:before IS NULL OR r.timestamp < :before)
+ORDER BY r.timestamp DESC
+LIMIT :limit;
+
+---SELECT_REPLAY_PLAYERS
+SELECT * FROM replay_players
+WHERE replay = ?
+ORDER BY side;
+
+---STARTUP
+CREATE TABLE IF NOT EXISTS ratings
+(
+	player TEXT NOT NULL,
+	name TEXT NOT NULL,
+	format TEXT NOT NULL,
+	rating REAL NOT NULL,
+	deviation REAL NOT NULL,
+	volatility REAL NOT NULL,
+	wins INTEGER NOT NULL,
+	losses INTEGER NOT NULL,
+	updated INTEGER NOT NULL,
+	PRIMARY KEY (player, format)
+);
+
+---STARTUP
+CREATE TABLE IF NOT EXISTS rating_history
+(
+	id INTEGER PRIMARY KEY,
+	player TEXT NOT NULL,
+	format TEXT NOT NULL,
+	replay TEXT NOT NULL,
+	opponent TEXT NOT NULL,
+	score REAL NOT NULL,
+	rating REAL NOT NULL,
+	deviation REAL NOT NULL,
+	volatility REAL NOT NULL,
+	timestamp INTEGER NOT NULL,
+	season INTEGER
+);
+
+---MIGRATE
+ALTER TABLE rating_history ADD COLUMN season INTEGER;
+
+---STARTUP
+CREATE INDEX IF NOT EXISTS rating_history_replay ON rating_history (replay);
+
+---SELECT_RATING
+SELECT * FROM ratings
+WHERE player = ? AND format = ?;
+
+---SELECT_PLAYER_RATINGS
+SELECT * FROM ratings
+WHERE player = ?
+ORDER BY format;
+
+---UPSERT_RATING
+INSERT INTO ratings (player, name, format, rating, deviation, volatility, wins, losses, updated)
+VALUES (:player, :name, :format, :rating, :deviation, :volatility, :wins, :losses, :updated)
+ON CONFLICT (player, format) DO UPDATE SET
+	name = excluded.name,
+	rating = excluded.rating,
+	deviation = excluded.deviation,
+	volatility = excluded.volatility,
+	wins = excluded.wins,
+	losses = excluded.losses,
+	updated = excluded.updated;
+
+---SELECT_RATED_REPLAY
+SELECT 1 FROM rating_history
+WHERE replay = ?
+LIMIT 1;
+
+---INSERT_RATING_HISTORY
+INSERT INTO rating_history (player, format, replay, opponent, score, rating, deviation, volatility, timestamp, season)
+VALUES (:player, :format, :replay, :opponent, :score, :rating, :deviation, :volatility, :timestamp, :season);
+
+---STARTUP
+CREATE TABLE IF NOT EXISTS seasons
+(
+	id INTEGER PRIMARY KEY,
+	name TEXT NOT NULL,
+	reset TEXT NOT NULL,
+	decay REAL NOT NULL,
+	started INTEGER NOT NULL,
+	ended INTEGER
+);
+
+---STARTUP
+CREATE TABLE IF NOT EXISTS season_standings
+(
+	season INTEGER NOT NULL REFERENCES seasons (id),
+	format TEXT NOT NULL,
+	rank INTEGER NOT NULL,
+	player TEXT NOT NULL,
+	name TEXT NOT NULL,
+	rating REAL NOT NULL,
+	deviation REAL NOT NULL,
+	wins INTEGER NOT NULL,
+	losses INTEGER NOT NULL,
+	PRIMARY KEY (season, format, player)
+);
+
+---INSERT_SEASON
+INSERT INTO seasons (name, reset, decay, started)
+VALUES (:name, :reset, :decay, :started)
+RETURNING *;
+
+---END_SEASON
+UPDATE seasons
+SET ended = :ended
+WHERE id = :id;
+
+---SELECT_CURRENT_SEASON
+SELECT * FROM seasons
+WHERE ended IS NULL
+ORDER BY id DESC
+LIMIT 1;
+
+---SELECT_SEASON
+SELECT * FROM seasons
+WHERE id = ?;
+
+---SELECT_LATEST_SEASON
+SELECT * FROM seasons
+ORDER BY id DESC
+LIMIT 1;
+
+---SELECT_SEASONS
+SELECT * FROM seasons
+ORDER BY id DESC;
+
+---INSERT_SEASON_STANDING
+INSERT INTO season_standings (season, format, rank, player, name, rating, deviation, wins, losses)
+VALUES (:season, :format, :rank, :player, :name, :rating, :deviation, :wins, :losses);
+
+---SELECT_SEASON_STANDINGS
+SELECT * FROM season_standings
+WHERE season = ? AND format = ?
+ORDER BY rank
+LIMIT ?;
+
+---SELECT_SEASON_FORMATS
+SELECT format, COUNT(*) AS players FROM season_standings
+WHERE season = ?
+GROUP BY format
+ORDER BY format;
+
+---SELECT_FORMAT_RATINGS
+SELECT * FROM ratings
+WHERE format = ?
+ORDER BY rating DESC;
+
+---SELECT_ALL_RATINGS
+SELECT * FROM ratings
+ORDER BY format, rating DESC;
+
+---DELETE_RATINGS
+DELETE FROM ratings;
+
+---SOFT_RESET_RATINGS
+UPDATE ratings
+SET rating = :rating + (rating - :rating) * :factor, deviation = MAX(deviation, :deviation), wins = 0, losses = 0, updated = :updated;
+
+---CLEAR_RATING_RECORDS
+UPDATE ratings
+SET wins = 0, losses = 0, updated = :updated;
+
+---SELECT_PLAYER_RECORD
+SELECT COUNT(*) AS games, COALESCE(SUM(p.won), 0) AS wins, COALESCE(SUM(r.winner IS NOT NULL AND p.won = 0), 0) AS losses
+FROM replay_players AS p
+JOIN replays AS r ON r.id = p.replay
+WHERE p.player = ?;
+
+---SELECT_HEAD_TO_HEAD
+SELECT o.player, MAX(o.name) AS name, COUNT(*) AS games, SUM(p.won) AS wins, SUM(o.won) AS losses
+FROM replay_players AS p
+JOIN replay_players AS o ON o.replay = p.replay AND o.side != p.side
+WHERE p.player = :player AND (:opponent IS NULL OR o.player = :opponent)
+GROUP BY o.player
+ORDER BY games DESC, name
+LIMIT :limit;
+
+---SELECT_PLAYER_POKEMON
+SELECT m.species, COUNT(*) AS teams
+FROM replay_players AS p
+JOIN replay_pokemon AS m ON m.replay = p.replay AND m.side = p.side
+WHERE p.player = ?
+GROUP BY m.species
+ORDER BY teams DESC, m.species
+LIMIT ?;
+
+---SELECT_STATS_TEAMS
+SELECT p.replay, p.side, p.won FROM replays AS r
+JOIN replay_players AS p ON p.replay = r.id
+LEFT JOIN ratings AS g ON g.player = p.player AND g.format = r.format
+WHERE r.format = :format
+AND (:after IS NULL OR r.timestamp >= :after)
+AND (:before IS NULL OR r.timestamp < :before)
+AND (:minRating IS NULL OR COALESCE(g.rating, :defaultRating) >= :minRating);
+
+---SELECT_STATS_POKEMON
+SELECT m.replay, m.side, m.species FROM replays AS r
+JOIN replay_pokemon AS m ON m.replay = r.id
+WHERE r.format = :format
+AND (:after IS NULL OR r.timestamp >= :after)
+AND (:before IS NULL OR r.timestamp < :before);
+
+---SELECT_STATS_LEADS
+SELECT m.replay, m.side, m.species FROM replays AS r
+JOIN replay_leads AS m ON m.replay = r.id
+WHERE r.format = :format
+AND (:after IS NULL OR r.timestamp >= :after)
+AND (:before IS NULL OR r.timestamp < :before);
+
+---SELECT_STATS_MOVES
+SELECT m.replay, m.side, m.species, m.move FROM replays AS r
+JOIN replay_moves AS m ON m.replay = r.id
+WHERE r.format = :format
+AND (:after IS NULL OR r.timestamp >= :after)
+AND (:before IS NULL OR r.timestamp < :before);
+
+---STARTUP
+CREATE TABLE IF NOT EXISTS links
+(
+	discord TEXT PRIMARY KEY,
+	player TEXT NOT NULL UNIQUE,
+	name TEXT NOT NULL,
+	linked INTEGER NOT NULL
+);
+
+---SELECT_LINK
+SELECT * FROM links
+WHERE discord = ?;
+
+---SELECT_LINK_BY_PLAYER
+SELECT * FROM links
+WHERE player = ?;
+
+---UPSERT_LINK
+INSERT INTO links (discord, player, name, linked)
+VALUES (:discord, :player, :name, :linked)
+ON CONFLICT (discord) DO UPDATE SET
+	player = excluded.player,
+	name = excluded.name,
+	linked = excluded.linked;
+
+---DELETE_LINK
+DELETE FROM links
+WHERE discord = ?;
+
+---STARTUP
+CREATE TABLE IF NOT EXISTS tournaments
+(
+	id INTEGER PRIMARY KEY,
+	guild TEXT NOT NULL,
+	name TEXT NOT NULL,
+	format TEXT NOT NULL,
+	type TEXT NOT NULL,
+	rounds INTEGER,
+	state TEXT NOT NULL,
+	round INTEGER NOT NULL,
+	created INTEGER NOT NULL,
+	started INTEGER,
+	winner TEXT
+);
+
+---STARTUP
+CREATE TABLE IF NOT EXISTS tour_players
+(
+	tour INTEGER NOT NULL REFERENCES tournaments (id),
+	discord TEXT NOT NULL,
+	player TEXT NOT NULL,
+	name TEXT NOT NULL,
+	seed INTEGER NOT NULL,
+	PRIMARY KEY (tour, discord)
+);
+
+---STARTUP
+CREATE TABLE IF NOT EXISTS tour_matches
+(
+	id INTEGER PRIMARY KEY,
+	tour INTEGER NOT NULL REFERENCES tournaments (id),
+	round INTEGER NOT NULL,
+	p1 TEXT NOT NULL,
+	p2 TEXT,
+	winner TEXT,
+	replay TEXT
+);
+
+---INSERT_TOUR
+INSERT INTO tournaments (guild, name, format, type, rounds, state, round, created)
+VALUES (:guild, :name, :format, :type, :rounds, 'signup', 0, :created)
+RETURNING *;
+
+---SELECT_TOUR
+SELECT * FROM tournaments
+WHERE id = ?;
+
+---SELECT_ACTIVE_TOUR
+SELECT * FROM tournaments
+WHERE guild = ? AND state != 'finished'
+ORDER BY id DESC
+LIMIT 1;
+
+---UPDATE_TOUR
+UPDATE tournaments
+SET state = :state, round = :round, started = :started, winner = :winner
+WHERE id = :id;
+
+---INSERT_TOUR_PLAYER
+INSERT INTO tour_players (tour, discord, player, name, seed)
+VALUES (:tour, :discord, :player, :name, (SELECT COALESCE(MAX(seed), 0) + 1 FROM tour_players WHERE tour = :tour));
+
+---DELETE_TOUR_PLAYER
+DELETE FROM tour_players
+WHERE tour = ? AND discord = ?;
+
+---SELECT_TOUR_PLAYERS
+SELECT * FROM tour_players
+WHERE tour = ?
+ORDER BY seed;
+
+---INSERT_TOUR_MATCH
+INSERT INTO tour_matches (tour, round, p1, p2, winner)
+VALUES (:tour, :round, :p1, :p2, :winner)
+RETURNING *;
+
+---SELECT_TOUR_MATCHES
+SELECT * FROM tour_matches
+WHERE tour = ?
+ORDER BY round, id;
+
+---UPDATE_TOUR_MATCH
+UPDATE tour_matches
+SET winner = :winner, replay = :replay
+WHERE id = :id;
+
+---STARTUP
+CREATE TABLE IF NOT EXISTS battles
+(
+	id INTEGER PRIMARY KEY,
+	format TEXT NOT NULL,
+	player1 TEXT NOT NULL,
+	player2 TEXT NOT NULL,
+	context TEXT,
+	state TEXT NOT NULL,
+	room TEXT,
+	outcome TEXT,
+	winner TEXT,
+	replay TEXT,
+	error TEXT,
+	created INTEGER NOT NULL,
+	updated INTEGER NOT NULL
+);
+
+---STARTUP
+CREATE INDEX IF NOT EXISTS battles_state ON battles (state);
+
+---INSERT_BATTLE
+INSERT INTO battles (format, player1, player2, context, state, created, updated)
+VALUES (:format, :player1, :player2, :context, 'starting', :created, :created)
+RETURNING *;
+
+---UPDATE_BATTLE_ROOM
+UPDATE battles
+SET state = 'running', room = :room, updated = :updated
+WHERE id = :id;
+
+---UPDATE_BATTLE_STATE
+UPDATE battles
+SET state = :state, outcome = :outcome, winner = :winner, replay = :replay, error = :error, updated = :updated
+WHERE id = :id;
+
+---SELECT_BATTLE
+SELECT * FROM battles
+WHERE id = ?;
+
+---SELECT_PENDING_BATTLES
+SELECT * FROM battles
+WHERE state IN ('starting', 'running')
+ORDER BY id;
+
+---STARTUP
+CREATE TABLE IF NOT EXISTS permissions
+(
+	guild TEXT NOT NULL,
+	role TEXT NOT NULL,
+	capability TEXT NOT NULL,
+	PRIMARY KEY (guild, role, capability)
+);
+
+---INSERT_PERMISSION
+INSERT OR IGNORE INTO permissions (guild, role, capability)
+VALUES (:guild, :role, :capability);
+
+---DELETE_PERMISSION
+DELETE FROM permissions
+WHERE guild = :guild AND role = :role AND capability = :capability;
+
+---SELECT_PERMISSIONS
+SELECT * FROM permissions
+WHERE guild = ?
+ORDER BY capability, role;
+
+---STARTUP
+CREATE TABLE IF NOT EXISTS settings
+(
+	guild TEXT NOT NULL,
+	key TEXT NOT NULL,
+	value TEXT NOT NULL,
+	PRIMARY KEY (guild, key)
+);
+
+---UPSERT_SETTING
+INSERT INTO settings (guild, key, value)
+VALUES (:guild, :key, :value)
+ON CONFLICT (guild, key) DO UPDATE SET value = excluded.value;
+
+---DELETE_SETTING
+DELETE FROM settings
+WHERE guild = :guild AND key = :key;
+
+---SELECT_SETTINGS
+SELECT * FROM settings
+WHERE guild = ?;
@@ -0,0 +1,92 @@
+/**
+ * psbots.test.js
+ *
+ * Runs factory battles through PSBots against MockShowdown, offline.
+ * Needs the pokemon-showdown build next to the bot, like the rest of it.
+ */
+
+"use strict";
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const MockShowdown = require("../MockShowdown.js");
+const PSBots = require("../PSBots.js");
+const { Teams } = require("../pokemon-showdown/dist/sim/index.js");
+
+const TEAM = Teams.pack(Teams.import("Pikachu\nAbility: Static\n- Thunderbolt"));
+
+let mock = null;
+let bots = null;
+let players = null;
+
+/**
+ * @param {string[]} accepting - players who take their slot when invited.
+ * @param {number} [noshow] - seconds.
+ */
+function battle(accepting, noshow) {
+	for(const player of players.bots) player.accepting = accepting.includes(player.name);
+	return bots.battle({
+		message: "Good luck!",
+		chalcode: "gen9nationaldex35pokes",
+		noshow,
+		side1: { team: TEAM, usernames: ["Alice"] },
+		side2: { team: TEAM, usernames: ["Bob"] },
+	});
+}
+
+before(async () => {
+	mock = new MockShowdown();
+	const server = await mock.listen(0);
+	bots = new PSBots([{ name: "Bot A", pass: "a" }, { name: "Bot B", pass: "b" }], server);
+	players = new PSBots([{ name: "Alice", pass: "x" }, { name: "Bob", pass: "y" }], server);
+	await bots.connect();
+	await players.connect();
+
+	// Players answer invites from /addplayer like a user clicking the button.
+	for(const player of players.bots) {
+		player.ws.addEventListener("message", (e) => {
+			const invite = /\/acceptbattle (\w+)/.exec(e.data);
+			if(invite && player.accepting) player.ws.send(players.msgToRaw(`|/acceptbattle ${invite[1]}`));
+		});
+	}
+});
+
+after(async () => {
+	bots.shutdown();
+	players.shutdown();
+	await mock.close();
+});
+
+test("a battle is challenged, accepted, given to the players and saved", async () => {
+	const events = [];
+	for(const event of ["challenge", "players", "replay"]) bots.once(event, () => events.push(event));
+	bots.once("players", ({ room }) => mock.finish(room, "Bob"));
+
+	const { room, replay, result } = await battle(["Alice", "Bob"]);
+	const out = await result;
+	assert.equal(out.outcome, "win");
+	assert.equal(out.winner, "Bob");
+	assert.equal(out.side, "p2");
+	assert.deepEqual(out.players, { p1: "Alice", p2: "Bob" });
+	assert.equal(out.room, room);
+
+	assert.equal(await replay, out.replay);
+	assert.match(out.replay, /^https?:\/\//);
+	assert.deepEqual(events, ["challenge", "players", "replay"]);
+});
+
+test("a player who never joins loses by no-show", async () => {
+	const { replay, result } = await battle(["Alice"], 1);
+	const out = await result;
+	assert.equal(out.outcome, "noshow");
+	assert.equal(out.winner, "Alice");
+	assert.deepEqual(out.noshows, ["Bob"]);
+	await assert.rejects(replay, (err) => /No-show: Bob/.test(err.reason));
+});
+
+test("resuming a battle whose room is gone rejects without crashing", async () => {
+	const { replay, result } = await bots.resume({ format: "gen9nationaldex35pokes", side1: { confirmed: "Alice" }, side2: { confirmed: "Bob" } }, "battle-gen9nationaldex35pokes-404");
+	await assert.rejects(result);
+	// Give an unhandled rejection of replay the chance to end the process.
+	await new Promise((res) => setImmediate(res));
+	await assert.rejects(replay);
+});
@@ -0,0 +1,108 @@
+/**
+ * ratings.test.js
+ *
+ * Glicko-2 updates, inactivity decay and seasons, on a database in memory.
+ */
+
+"use strict";
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const MetagameHelper = require("../MetagameHelper.js");
+const Ratings = require("../Ratings.js");
+const Seasons = require("../Seasons.js");
+
+const FORMAT = "2025/ou";
+const WEEK = 7 * 24 * 60 * 60;
+
+let mh = null;
+let ratings = null;
+let seasons = null;
+
+beforeEach(() => {
+	mh = new MetagameHelper(false, ":memory:");
+	ratings = new Ratings(mh);
+	seasons = new Seasons(mh);
+});
+
+/**
+ * A validated replay that Alice won, as far as rateReplay looks at it.
+ * @param {number} [timestamp]
+ */
+function replay(timestamp = Math.floor(Date.now() / 1000)) {
+	return {
+		errors: [],
+		battle: [{ player: "Alice" }, { player: "Bob" }],
+		winner: 0,
+		formats: new Map([[FORMAT, []]]),
+		timestamp,
+	};
+}
+
+test("new players start at the default rating", () => {
+	const rating = ratings.get("Alice", FORMAT);
+	assert.equal(rating.rating, Ratings.DEFAULT_RATING);
+	assert.equal(rating.deviation, Ratings.DEFAULT_DEVIATION);
+	assert.equal(rating.updated, 0);
+});
+
+test("a win between new players moves both ratings by the same amount", () => {
+	const [ winner, loser ] = ratings.rateReplay("https://replay.example/1", FORMAT, replay());
+	// 1500 ±350 against 1500 ±350 by the Glicko-2 formulas.
+	assert.equal(Math.round(winner.after.rating), 1662);
+	assert.equal(Math.round(loser.after.rating), 1338);
+	assert.equal(Math.round(winner.after.deviation), 290);
+	assert.equal(winner.after.rating - Ratings.DEFAULT_RATING, Ratings.DEFAULT_RATING - loser.after.rating);
+	assert.deepEqual([winner.after.wins, winner.after.losses, loser.after.wins, loser.after.losses], [1, 0, 0, 1]);
+	assert.deepEqual(ratings.leaderboard(FORMAT).map((x) => x.name), ["Alice", "Bob"]);
+});
+
+test("a tie between equal players changes no rating", () => {
+	const result = {
+		outcome: "tie",
+		winner: null,
+		side: null,
+		players: { p1: "Alice", p2: "Bob" },
+		noshows: [],
+		room: "https://play.example/battle-1",
+		replay: null,
+	};
+	const [ a, b ] = ratings.rateResult(result, FORMAT);
+	assert.equal(Math.round(a.after.rating), Ratings.DEFAULT_RATING);
+	assert.equal(Math.round(b.after.rating), Ratings.DEFAULT_RATING);
+	assert.equal(a.after.wins + a.after.losses, 0);
+});
+
+test("replays are only rated once", () => {
+	ratings.rateReplay("https://replay.example/1", FORMAT, replay());
+	assert.throws(() => ratings.rateReplay("https://replay.example/1", FORMAT, replay()), /already been rated/);
+});
+
+test("ratings above the default decay for every whole week without a game", () => {
+	const now = Math.floor(Date.now() / 1000);
+	const started = now - 3 * WEEK - 60 * 60;
+	mh.stmt.INSERT_SEASON.get({ name: "Season 1", reset: "none", decay: 10, started });
+	ratings.rateReplay("https://replay.example/1", FORMAT, replay(started + 60));
+
+	const [ alice, bob ] = ratings.list("Alice").concat(ratings.list("Bob"));
+	const stored = mh.stmt.SELECT_RATING.get("alice", FORMAT).rating;
+	assert.equal(alice.rating, stored - 3 * 10);
+	// Never below the default, and only above it.
+	assert.equal(bob.rating, mh.stmt.SELECT_RATING.get("bob", FORMAT).rating);
+});
+
+test("games are not rated between seasons", () => {
+	seasons.start({ name: "Season 1" });
+	ratings.rateReplay("https://replay.example/1", FORMAT, replay());
+	seasons.end();
+	assert.throws(() => ratings.rateReplay("https://replay.example/2", FORMAT, replay()), /Season 1 has ended/);
+
+	seasons.start({ name: "Season 2", reset: "hard" });
+	assert.equal(ratings.get("Alice", FORMAT).rating, Ratings.DEFAULT_RATING);
+	ratings.rateReplay("https://replay.example/2", FORMAT, replay());
+	assert.deepEqual(seasons.standings(1, FORMAT).map((x) => x.name), ["Alice", "Bob"]);
+});
+
+test("replays from before the season are not rated", () => {
+	seasons.start({ name: "Season 1" });
+	assert.throws(() => ratings.rateReplay("https://replay.example/1", FORMAT, replay(1)), /before Season 1 started/);
+});
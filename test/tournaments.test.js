@@ -0,0 +1,159 @@
+/**
+ * tournaments.test.js
+ *
+ * Pairing and progression of the three tournament types, on a database in memory.
+ */
+
+"use strict";
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const MetagameHelper = require("../MetagameHelper.js");
+const Tournaments = require("../Tournaments.js");
+
+const GUILD = "1";
+
+let tours = null;
+
+beforeEach(() => {
+	tours = new Tournaments(new MetagameHelper(false, ":memory:"));
+});
+
+/**
+ * Creates a tournament, signs up players named after their seed, and starts it.
+ * @param {string} type
+ * @param {number} players
+ * @param {number} [rounds]
+ * @returns {import("../Tournaments.js").Progress}
+ */
+function start(type, players, rounds) {
+	const tour = tours.create({ guild: GUILD, name: "Test", format: "2025/ou", type, rounds });
+	for(let seed = 1; seed <= players; seed++) {
+		tours.join(tour, { discord: `${seed}`, player: `p${seed}`, name: `P${seed}` });
+	}
+	return tours.start(tours.get(GUILD, tour.id));
+}
+
+/**
+ * @param {import("../Tournaments.js").Match[]} matches
+ * @returns {string[]} - "p1-p2", or "p1-" for a bye.
+ */
+function pairs(matches) {
+	return matches.map((x) => `${x.p1}-${x.p2 ?? ""}`);
+}
+
+/**
+ * Plays the open matches of the round, the player chosen by pick winning each.
+ * @param {import("../Tournaments.js").Progress} progress
+ * @param {(match: import("../Tournaments.js").Match) => string} pick
+ * @returns {import("../Tournaments.js").Progress}
+ */
+function play(progress, pick) {
+	let next = progress;
+	for(const match of progress.matches.filter((x) => x.p2)) {
+		next = tours.override(tours.get(GUILD, progress.tour.id), match.id, pick(match));
+	}
+	return next;
+}
+
+const higherSeed = (match) => String(Math.min(match.p1, match.p2));
+const lowerSeed = (match) => String(Math.max(match.p1, match.p2));
+
+test("single elimination pairs by seed, gives byes to the top seeds and ends with one player left", () => {
+	let progress = start("single", 6);
+	assert.deepEqual(pairs(progress.matches), ["1-6", "2-5", "3-4"]);
+
+	progress = play(progress, higherSeed);
+	assert.equal(progress.tour.round, 2);
+	assert.deepEqual(pairs(progress.matches), ["1-2", "3-"]);
+
+	progress = play(progress, higherSeed);
+	assert.deepEqual(pairs(progress.matches), ["1-3"]);
+
+	progress = play(progress, lowerSeed);
+	assert.equal(progress.tour.state, "finished");
+	assert.equal(progress.tour.winner, "3");
+});
+
+test("double elimination keeps players until their second loss and replays a grand final lost by the winners' side", () => {
+	let progress = start("double", 4);
+	assert.deepEqual(pairs(progress.matches), ["1-4", "2-3"]);
+
+	// Winners' side: 1 and 2; losers' side: 4 and 3.
+	progress = play(progress, higherSeed);
+	assert.deepEqual(pairs(progress.matches), ["1-2", "4-3"]);
+
+	// 2 drops to the losers' side, 4 is out.
+	progress = play(progress, higherSeed);
+	assert.deepEqual(pairs(progress.matches), ["1-", "2-3"]);
+
+	progress = play(progress, higherSeed);
+	assert.deepEqual(pairs(progress.matches), ["1-2"]);
+
+	// The losers' side wins the grand final, so it is played again.
+	progress = play(progress, lowerSeed);
+	assert.equal(progress.tour.state, "running");
+	assert.deepEqual(pairs(progress.matches), ["1-2"]);
+
+	progress = play(progress, lowerSeed);
+	assert.equal(progress.tour.state, "finished");
+	assert.equal(progress.tour.winner, "2");
+});
+
+test("swiss avoids rematches, gives the bye to someone who had none, and ranks by wins and buchholz", () => {
+	let progress = start("swiss", 5);
+	// log2(5) rounded up.
+	const rounds = 3;
+	const played = new Set();
+	const byes = [];
+
+	for(let round = 1; round <= rounds; round++) {
+		assert.equal(progress.tour.round, round);
+		for(const match of progress.matches) {
+			if(!match.p2) {
+				byes.push(match.p1);
+				continue;
+			}
+			const key = [match.p1, match.p2].sort().join("-");
+			assert.ok(!played.has(key), `rematch in round ${round}: ${key}`);
+			played.add(key);
+		}
+		progress = play(progress, higherSeed);
+	}
+
+	assert.equal(progress.tour.state, "finished");
+	assert.equal(new Set(byes).size, byes.length);
+
+	const standings = tours.standings(progress.tour);
+	assert.equal(progress.tour.winner, standings[0].discord);
+	for(let i = 1; i < standings.length; i++) {
+		const [ a, b ] = [standings[i - 1], standings[i]];
+		assert.ok(a.wins > b.wins || (a.wins === b.wins && a.buchholz >= b.buchholz));
+	}
+});
+
+test("swiss can be limited to a number of rounds", () => {
+	let progress = start("swiss", 4, 1);
+	progress = play(progress, higherSeed);
+	assert.equal(progress.tour.state, "finished");
+	assert.equal(progress.tour.round, 1);
+});
+
+test("reports only count for open matches between the replay's players", () => {
+	const progress = start("single", 2);
+	const out = (p1, p2, winner) => ({
+		errors: [],
+		battle: [{ player: p1 }, { player: p2 }],
+		winner,
+		formats: new Map([["2025/ou", []]]),
+		timestamp: null,
+	});
+	const tour = tours.get(GUILD, progress.tour.id);
+
+	assert.throws(() => tours.report(tour, "https://replay.example/1", out("P1", "P3", 0)), /must be in the tournament/);
+	assert.throws(() => tours.report(tour, "https://replay.example/1", { ...out("P1", "P2", 0), formats: new Map() }), /not a perfect match/);
+
+	const done = tours.report(tour, "https://replay.example/1", out("P2", "P1", 0));
+	assert.equal(done.match.winner, "2");
+	assert.equal(done.tour.state, "finished");
+	assert.throws(() => tours.report(done.tour, "https://replay.example/1", out("P2", "P1", 0)), /not running/);
+});
@@ -0,0 +1,80 @@
+/**
+ * validate.test.js
+ *
+ * Replay parsing by MetagameHelper.validate, from log text; no metagames index is needed.
+ */
+
+"use strict";
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const MetagameHelper = require("../MetagameHelper.js");
+
+const mh = new MetagameHelper(false, ":memory:");
+
+/**
+ * @param {string[]} lines - without the leading "|".
+ */
+function validate(lines) {
+	return mh.validate(lines.map((x) => `|${x}`).join("\n"));
+}
+
+const START = [
+	"t:|1736869087",
+	"gametype|singles",
+	"player|p1|Alice|1|",
+	"player|p2|Bob|1|",
+	"teampreview",
+	"poke|p1|Pikachu, F|",
+	"poke|p1|Gastrodon-East, M|",
+	"poke|p2|Garchomp, M|",
+	"poke|p2|Rotom-Wash|",
+	"start",
+	"switch|p1a: Pika|Pikachu, F|100/100",
+	"switch|p2a: Chompy|Garchomp, M|100/100",
+	"turn|1",
+];
+
+test("players, winner, timestamp and appearances are read from the log", async () => {
+	const out = await validate([...START, "move|p1a: Pika|Thunderbolt|p2a: Chompy", "-immune|p2a: Chompy", "win|Bob"]);
+	assert.deepEqual(out.errors, []);
+	assert.deepEqual(out.battle.map((x) => x.player), ["Alice", "Bob"]);
+	assert.equal(out.winner, 1);
+	assert.equal(out.timestamp, 1736869087);
+	assert.ok(out.appearances.includes("Pikachu"));
+	assert.ok(out.appearances.includes("Garchomp"));
+	assert.deepEqual(Array.from(out.battle[0].moves.get("Pikachu")), ["Thunderbolt"]);
+});
+
+test("abilities are credited to the pokemon that has them", async () => {
+	const out = await validate([
+		...START,
+		"move|p2a: Chompy|Earthquake|p1a: Pika",
+		"-damage|p1a: Pika|0 fnt",
+		"faint|p1a: Pika",
+		"switch|p1a: Gastrodon|Gastrodon-East, M|100/100",
+		"-ability|p2a: Chompy|Rough Skin",
+		"win|Bob",
+	]);
+	assert.deepEqual(Array.from(out.battle[1].abilities.get("Garchomp")), ["Rough Skin"]);
+	assert.equal(out.battle[0].abilities, undefined);
+});
+
+test("abilities in [from] are credited to the pokemon in [of] when it is the cause", async () => {
+	const out = await validate([
+		...START,
+		"move|p2a: Chompy|Dragon Claw|p1a: Pika",
+		"-damage|p1a: Pika|60/100",
+		"-status|p2a: Chompy|par|[from] ability: Static|[of] p1a: Pika",
+		"move|p1a: Pika|Thunderbolt|p2a: Chompy",
+		"-damage|p2a: Chompy|70/100",
+		"-damage|p1a: Pika|50/100|[from] ability: Rough Skin|[of] p2a: Chompy",
+		"turn|2",
+		"switch|p2a: Rotom|Rotom-Wash|100/100",
+		"move|p1a: Pika|Thunderbolt|p2a: Rotom",
+		"-heal|p2a: Rotom|100/100|[from] ability: Volt Absorb|[of] p1a: Pika",
+		"win|Bob",
+	]);
+	assert.deepEqual(Array.from(out.battle[0].abilities.get("Pikachu")), ["Static"]);
+	assert.deepEqual(Array.from(out.battle[1].abilities.get("Garchomp")), ["Rough Skin"]);
+	assert.deepEqual(Array.from(out.battle[1].abilities.get("Rotom-Wash")), ["Volt Absorb"]);
+});
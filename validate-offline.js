@@ -0,0 +1,29 @@
+"use strict";
+const path = require("node:path");
+
+const mhPath = path.join(__dirname, "MetagameHelper.js");
+const MetagameHelper = require(mhPath);
+
+const filePath = process.argv[2];
+if(!filePath) {
+	console.log("Usage: npm run validate -- <replay.log>");
+	process.exit(1);
+}
+
+// The metagames index is only downloaded if there is none on the disk yet.
+const mh = new MetagameHelper(false);
+
+mh.init()
+.then((errors) => {
+	if(errors.length) throw errors;
+	// npm runs scripts from the package root; resolve the path from where it was called.
+	return mh.validateFile(path.resolve(process.env.INIT_CWD ?? ".", filePath));
+})
+.then((out) => {
+	console.dir(out, { depth: null });
+})
+.catch((errors) => {
+	console.log("Failed to validate due to errors:");
+	console.dir(errors, { depth: null });
+	process.exitCode = 1;
+});